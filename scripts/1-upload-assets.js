@@ -1,22 +1,32 @@
 #!/usr/bin/env node
 
 /**
- * Script 1: Upload POAP images and metadata to Arweave
+ * Script 1: Upload POAP images and metadata to storage
  *
- * This script uploads both POAP images and their metadata to Arweave
- * via Irys, then saves the URIs to data/config.json for later use.
+ * This script uploads the artwork and metadata of every tier declared in
+ * the event file (EVENT_FILE) to the storage backend (STORAGE_BACKEND:
+ * Arweave via Irys by default, an IPFS pinning service, or a local
+ * directory), then saves the URIs to data/config.json for later use.
+ *
+ * Files are hashed first: an image or metadata document that was uploaded
+ * before (data/upload-manifest.json) keeps its URI and isn't paid for again.
+ * The rest is priced before anything is sent. If the Irys balance doesn't
+ * cover it, the exact difference is funded after confirmation.
  *
  * Prerequisites:
  * - .env configured with NETWORK and PRIVATE_KEY
- * - assets/participation-poap.png exists
- * - assets/builder-poap.png exists
- * - Wallet funded with SOL (for upload fees)
+ * - Each tier's artwork in assets/ (e.g. assets/participation-poap.png):
+ *   a PNG, JPEG, GIF, WebP or SVG image, plus an optional MP4 animation
+ * - Wallet funded with SOL (for Irys upload fees)
+ * - For STORAGE_BACKEND=local: `npm run serve-storage` running while the URIs are used
  */
 
 import { validateConfig, getConfig } from '../src/config.js';
 import { createUmiClient, getWalletAddress, getWalletBalance } from '../src/umi.js';
-import { uploadAllAssets } from '../src/upload.js';
-import { assetExists, printHeader, printSummary } from '../src/utils.js';
+import { uploadAllAssets, quoteAssetUploads, fundUploads, checkTierMetadata } from '../src/upload.js';
+import { loadEvent } from '../src/event.js';
+import { checkTierMedia, formatBytes } from '../src/media.js';
+import { printHeader, printSummary, confirm } from '../src/utils.js';
 
 async function main() {
   console.log('\n🚀 SSA POAP Asset Upload');
@@ -25,52 +35,136 @@ async function main() {
   validateConfig();
   const config = getConfig();
 
+  let event;
+  try {
+    event = loadEvent(config.eventFile);
+  } catch (error) {
+    console.error(`\n❌ ${error.message}\n`);
+    process.exit(1);
+  }
+
   // Initialize Umi
   const umi = createUmiClient();
   const walletAddress = getWalletAddress(umi);
-  const balance = await getWalletBalance(umi);
+  // Only Irys uploads are paid from the wallet (and local ones work offline)
+  const paysForUploads = config.storageBackend === 'irys';
+  const balance = paysForUploads ? await getWalletBalance(umi) : null;
+
+  // Check artwork: type from the file's bytes, size and dimensions
+  console.log('\n🔍 Checking assets...');
+
+  const problems = [];
+  for (const tier of event.tiers) {
+    const { image, animation, errors, warnings } = checkTierMedia(tier);
+    for (const [filename, info] of [[tier.image, image], [tier.animation, animation]]) {
+      if (!filename) continue;
+      const details = info?.contentType
+        ? ` (${info.contentType}, ${formatBytes(info.bytes)}${info.width ? `, ${info.width}x${info.height}` : ''})`
+        : '';
+      const failed = !info || info.errors.length > 0;
+      console.log(`   ${filename}: ${failed ? '❌' : '✅'}${details}`);
+    }
+    warnings.forEach(warning => console.warn(`   ⚠️  ${warning}`));
+    problems.push(...errors);
+  }
+
+  if (problems.length > 0) {
+    console.error('\n❌ Some artwork can\'t be used:');
+    problems.forEach(problem => console.error(`   - ${problem}`));
+    console.error('   Place your POAP artwork in the assets/ folder. See README for supported formats and limits.\n');
+    process.exit(1);
+  }
+
+  // Uploads are permanent, so metadata must match the Metaplex schema first
+  console.log('\n🔍 Checking metadata...');
+
+  const invalid = event.tiers.map(tier => [tier, checkTierMetadata(tier)]).filter(([, errors]) => errors.length > 0);
+  event.tiers.forEach(tier => {
+    console.log(`   ${tier.label}: ${invalid.some(([t]) => t === tier) ? '❌' : '✅'}`);
+  });
+
+  if (invalid.length > 0) {
+    console.error('\n❌ Invalid metadata! Nothing was uploaded.');
+    invalid.forEach(([tier, errors]) => errors.forEach(error => console.error(`   - ${tier.label}: ${error}`)));
+    console.error(`   Fix the tiers in ${event.file}.\n`);
+    process.exit(1);
+  }
+
+  if (config.storageBackend === 'local') {
+    console.warn('\n⚠️  Local storage URIs only resolve while `npm run serve-storage` runs.');
+    console.warn('   Use it for testing only; never mint real POAPs against it.');
+  }
+
+  // Price everything up front, so uploads can't run out of funds halfway
+  let quote;
+  try {
+    quote = await quoteAssetUploads(umi, event.tiers);
+  } catch (error) {
+    console.error(`\n❌ Could not get an upload quote: ${error.message}\n`);
+    process.exit(1);
+  }
 
   printHeader('', {
     'Network': config.network,
     'Wallet': walletAddress,
-    'Balance': `${balance.toFixed(4)} SOL`
+    'Balance': paysForUploads ? `${balance.toFixed(4)} SOL` : 'not needed',
+    'Storage': config.storageBackend === 'local'
+      ? `local (${config.localStorageDir} at ${config.localStorageUrl})`
+      : config.storageBackend,
+    'Event': event.name,
+    'Tiers': event.tiers.map(t => t.label).join(', '),
+    'To Upload': `${quote.files} file(s), ${quote.bytes.toLocaleString()} bytes`,
+    'Upload Cost': paysForUploads ? `~${quote.sol.toFixed(6)} SOL` : 'free',
+    ...(quote.balanceLamports !== null && { 'Irys Balance': `${(quote.balanceLamports / 1e9).toFixed(6)} SOL` })
   });
 
-  // Check assets exist
-  console.log('\n🔍 Checking assets...');
+  if (quote.files === 0) {
+    console.log('\n✅ Nothing changed since the last upload. Existing URIs are reused.');
+  }
 
-  const participationExists = assetExists('participation-poap.png');
-  const builderExists = assetExists('builder-poap.png');
+  // Top up the Irys node with exactly what's missing, before any file is sent
+  if (quote.shortfallLamports > 0) {
+    const shortfall = quote.shortfallLamports / 1e9;
+    console.log(`\n💰 The Irys balance is ${shortfall.toFixed(6)} SOL short of the quote.`);
 
-  console.log(`   participation-poap.png: ${participationExists ? '✅' : '❌'}`);
-  console.log(`   builder-poap.png: ${builderExists ? '✅' : '❌'}`);
+    if (balance < shortfall + 0.001) {
+      console.error('\n❌ Insufficient balance!');
+      console.error(`   Current: ${balance.toFixed(4)} SOL`);
+      console.error(`   Needed: ${(shortfall + 0.001).toFixed(4)} SOL (funding + fees)\n`);
+      process.exit(1);
+    }
 
-  if (!participationExists || !builderExists) {
-    console.error('\n❌ Missing asset files!');
-    console.error('   Place your POAP images in the assets/ folder:');
-    console.error('   - assets/participation-poap.png');
-    console.error('   - assets/builder-poap.png\n');
-    process.exit(1);
-  }
+    const proceed = await confirm(`\nFund Irys with ${shortfall.toFixed(6)} SOL and upload?`);
+    if (!proceed) {
+      console.log('\n❌ Cancelled. Nothing was uploaded.\n');
+      process.exit(0);
+    }
 
-  // Check balance
-  if (balance < 0.1) {
-    console.warn('\n⚠️  Low balance! Uploads may fail.');
-    console.warn(`   Current: ${balance.toFixed(4)} SOL`);
-    console.warn('   Recommended: 0.1+ SOL\n');
+    try {
+      await fundUploads(umi, quote.shortfallLamports);
+      console.log('   ✅ Funded');
+    } catch (error) {
+      console.error(`\n❌ Funding failed: ${error.message}`);
+      console.error('   Nothing was uploaded. Try again.\n');
+      process.exit(1);
+    }
   }
 
   try {
     // Upload all assets
-    const result = await uploadAllAssets(umi);
+    const { config: result, uploaded, reused } = await uploadAllAssets(umi, event.tiers);
 
     console.log('\n💾 Configuration saved to data/config.json');
+    console.log('   Uploads recorded in data/upload-manifest.json');
 
     printSummary('📊 UPLOAD SUMMARY', {
-      'Participation Image': result.participation.imageUri,
-      'Participation Metadata': result.participation.metadataUri,
-      'Builder Image': result.builder.imageUri,
-      'Builder Metadata': result.builder.metadataUri
+      ...Object.fromEntries(event.tiers.flatMap(({ key, label }) => [
+        [`${label} Image`, result[key].imageUri],
+        ...(result[key].animationUri ? [[`${label} Animation`, result[key].animationUri]] : []),
+        [`${label} Metadata`, result[key].metadataUri]
+      ])),
+      'Uploaded': uploaded,
+      'Reused (unchanged)': reused
     });
 
     console.log('\n✨ Upload complete! Run `node scripts/2-create-trees.js` next.\n');
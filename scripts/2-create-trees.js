@@ -3,22 +3,75 @@
 /**
  * Script 2: Create Merkle trees for compressed NFTs
  *
- * This script creates two Merkle trees on Solana:
- * - One for Participation POAPs
- * - One for Builder POAPs
+ * This script creates one Merkle tree on Solana for each POAP tier
+ * declared in the event file (EVENT_FILE), e.g. Participation and Builder.
  *
- * Each tree costs approximately 0.3-0.5 SOL to create.
+ * Tree size is planned from the expected number of recipients. The planner
+ * lists every valid (maxDepth, maxBufferSize, canopyDepth) shape that fits,
+ * with its exact rent from the RPC, and picks the cheapest one that keeps
+ * transfer proofs short unless a shape is given on the command line.
+ *
+ * Trees from earlier tours (data/tree-registry.json) that still have room
+ * are offered for reuse first. A tree that already holds POAPs, or whose
+ * mint count can't be read, is never replaced without --replace.
  *
  * Prerequisites:
  * - Script 1 completed (URIs in data/config.json)
- * - Wallet funded with ~1 SOL
+ * - Wallet funded with enough SOL for the rent shown
+ *
+ * Usage:
+ *   node scripts/2-create-trees.js                      # Plan for the largest tier's recipients
+ *   node scripts/2-create-trees.js --recipients 1500    # Plan for an expected count
+ *   node scripts/2-create-trees.js --plan               # Show the options and exit
+ *   node scripts/2-create-trees.js --depth 14 --buffer 64 --canopy 4
+ *   node scripts/2-create-trees.js --replace            # Allow retiring trees that hold POAPs
  */
 
 import { validateConfig, getConfig } from '../src/config.js';
 import { createUmiClient, getWalletAddress, getWalletBalance } from '../src/umi.js';
-import { createBothTrees, estimateTreeCost, DEFAULT_MAX_DEPTH, DEFAULT_MAX_BUFFER_SIZE } from '../src/merkle-tree.js';
+import { createTierTrees, fetchTreeCost, fetchTreeCapacity } from '../src/merkle-tree.js';
+import { getTiers, loadTierRecipients } from '../src/event.js';
+import { planTrees, validateTreeParams } from '../src/tree-planner.js';
+import { findReusableTrees } from '../src/tree-registry.js';
+import { resolveComputeBudget, estimateFees } from '../src/fees.js';
 import { loadConfig, printHeader, printSummary, confirm } from '../src/utils.js';
 
+const DEFAULT_RECIPIENTS = 200;
+
+/**
+ * Read a numeric command-line option
+ * @param {Array<string>} args - Command-line arguments
+ * @param {string} name - Option name (e.g. '--depth')
+ * @returns {number|undefined} Option value
+ */
+function getNumberOption(args, name) {
+  const index = args.indexOf(name);
+  return index >= 0 ? Number(args[index + 1]) : undefined;
+}
+
+/**
+ * Read a tier's current tree, if it can be reused on this network
+ * The tree must belong to a config.json made for this network and exist
+ * on this cluster, so a tree from another network is never offered.
+ * @param {import('@metaplex-foundation/umi').Umi} umi - Umi instance
+ * @param {object} config - Project config (data/config.json)
+ * @param {string} key - Tier key
+ * @param {string} network - Current NETWORK
+ * @returns {Promise<{address: string, minted: number, remaining: number}|null>} Tree with room, or null
+ */
+async function readCurrentTree(umi, config, key, network) {
+  const address = config[key]?.treeAddress;
+  if (!address || (config.network && config.network !== network)) return null;
+
+  try {
+    const { minted, remaining } = await fetchTreeCapacity(umi, address);
+    return remaining > 0 ? { address, minted, remaining } : null;
+  } catch {
+    // Not on this cluster, or not readable right now: not a candidate
+    return null;
+  }
+}
+
 async function main() {
   console.log('\n🌳 SSA POAP Merkle Tree Creation');
 
@@ -26,40 +79,130 @@ async function main() {
   validateConfig();
   const envConfig = getConfig();
 
+  let tiers;
+  try {
+    tiers = getTiers(envConfig.eventFile);
+  } catch (error) {
+    console.error(`\n❌ ${error.message}\n`);
+    process.exit(1);
+  }
+
   // Check that config exists from previous step
   const config = loadConfig();
-  if (!config || !config.participation?.metadataUri) {
+  if (!config || tiers.some(({ key }) => !config[key]?.metadataUri)) {
     console.error('\n❌ Config not found or incomplete.');
     console.error('   Run `node scripts/1-upload-assets.js` first.\n');
     process.exit(1);
   }
 
+  const args = process.argv.slice(2);
+  const planOnly = args.includes('--plan');
+  const replaceUsed = args.includes('--replace');
+
+  // Size the trees for the expected number of recipients
+  // (every tier gets the same shape, so plan for the largest eligibility list)
+  let recipientCount = getNumberOption(args, '--recipients');
+  if (!recipientCount) {
+    const counts = tiers.map(tier => {
+      try {
+        return loadTierRecipients(tier).length;
+      } catch {
+        return 0; // Not known yet (e.g. builders before verification)
+      }
+    });
+    recipientCount = Math.max(...counts);
+  }
+  recipientCount = recipientCount || DEFAULT_RECIPIENTS;
+
   // Initialize Umi
   const umi = createUmiClient();
   const walletAddress = getWalletAddress(umi);
   const balance = await getWalletBalance(umi);
 
-  const estimatedCost = estimateTreeCost(DEFAULT_MAX_DEPTH, DEFAULT_MAX_BUFFER_SIZE);
+  console.log(`\n📐 Tree options for ${recipientCount.toLocaleString()} recipients:\n`);
+  const plans = await planTrees(umi, recipientCount);
+  console.log('   Depth  Buffer  Canopy  Capacity   Proof  Account size   Rent (SOL)');
+  plans.forEach(plan => {
+    console.log(
+      `   ${String(plan.maxDepth).padEnd(7)}${String(plan.maxBufferSize).padEnd(8)}${String(plan.canopyDepth).padEnd(8)}` +
+      `${plan.capacity.toLocaleString().padEnd(11)}${String(plan.proofLength).padEnd(7)}` +
+      `${(plan.bytes.toLocaleString() + ' B').padEnd(15)}${plan.sol.toFixed(4)}${plan.recommended ? '  ⭐ recommended' : ''}`
+    );
+  });
+  console.log('\n   Proof = nodes a later transfer must carry (maxDepth - canopyDepth).');
+
+  if (planOnly) {
+    console.log('\n   Pick one with --depth, --buffer and --canopy.\n');
+    process.exit(0);
+  }
+
+  // An explicit shape overrides the recommendation
+  const recommended = plans.find(plan => plan.recommended);
+  const params = {
+    maxDepth: getNumberOption(args, '--depth') ?? recommended.maxDepth,
+    maxBufferSize: getNumberOption(args, '--buffer') ?? recommended.maxBufferSize,
+    canopyDepth: getNumberOption(args, '--canopy') ?? recommended.canopyDepth
+  };
+
+  const invalid = validateTreeParams(params);
+  if (invalid) {
+    console.error(`\n❌ Invalid tree shape: ${invalid}\n`);
+    process.exit(1);
+  }
+
+  // Trees from earlier tours that still have room are offered before new ones
+  const reuse = {};
+  for (const { key, label } of tiers) {
+    const otherTrees = tiers.filter(t => t.key !== key).map(t => config[t.key]?.treeAddress).filter(Boolean);
+    const current = await readCurrentTree(umi, config, key, envConfig.network);
+    const reusable = await findReusableTrees(umi, { purpose: key, exclude: [...otherTrees, config[key]?.treeAddress].filter(Boolean) });
+    const candidate = current || reusable[0];
+    if (!candidate) continue;
+
+    console.log(`\n♻️  ${label} tree ${candidate.address}${candidate === current ? ' (current)' : ''}`);
+    console.log(`   ${candidate.minted.toLocaleString()} minted, ${candidate.remaining.toLocaleString()} leaves left`);
+    if (candidate.remaining < recipientCount) {
+      console.log(`   Less than ${recipientCount.toLocaleString()}: minting will roll over to a new tree when it fills.`);
+    }
+    if (await confirm(`   Reuse it for ${label} POAPs?`)) {
+      reuse[key] = candidate.address;
+    }
+  }
+
+  const newTreeCount = tiers.filter(({ key }) => !reuse[key]).length;
+  const treeCost = await fetchTreeCost(umi, params);
+
+  // Priority fee for the tree-creation transactions
+  const computeBudget = await resolveComputeBudget(umi, envConfig);
+  const fees = estimateFees({ ...computeBudget, unitsPerInstruction: 0 }, newTreeCount, 2);
 
   printHeader('', {
     'Network': envConfig.network,
     'Wallet': walletAddress,
     'Balance': `${balance.toFixed(4)} SOL`,
-    'Tree Capacity': `${Math.pow(2, DEFAULT_MAX_DEPTH).toLocaleString()} NFTs each`
+    'Tree Shape': `depth ${params.maxDepth}, buffer ${params.maxBufferSize}, canopy ${params.canopyDepth}`,
+    'Tree Capacity': `${Math.pow(2, params.maxDepth).toLocaleString()} NFTs each`,
+    'New Trees': newTreeCount,
+    'Priority Fee': `${computeBudget.microLamports} µlamports/CU (${computeBudget.source})`,
+    'Transaction Fees': `~${fees.sol.toFixed(6)} SOL`
   });
 
   // Check balance
-  const totalEstimatedCost = estimatedCost * 2;
-  if (balance < totalEstimatedCost) {
+  const totalCost = treeCost.sol * newTreeCount + fees.sol;
+  if (balance < totalCost) {
     console.error(`\n❌ Insufficient balance!`);
     console.error(`   Current: ${balance.toFixed(4)} SOL`);
-    console.error(`   Estimated need: ${totalEstimatedCost.toFixed(2)} SOL\n`);
+    console.error(`   Needed: ${totalCost.toFixed(4)} SOL\n`);
     process.exit(1);
   }
 
   // Confirm with user
-  console.log(`\n⚠️  Creating trees costs approximately ${estimatedCost.toFixed(2)} SOL each.`);
-  console.log(`   Total estimated cost: ~${totalEstimatedCost.toFixed(2)} SOL`);
+  if (newTreeCount > 0) {
+    console.log(`\n⚠️  Creating trees costs ${treeCost.sol.toFixed(4)} SOL rent each.`);
+    console.log(`   Total cost: ~${totalCost.toFixed(4)} SOL`);
+  } else {
+    console.log('\n✅ Every tier reuses an existing tree. Nothing to pay for.');
+  }
 
   const proceed = await confirm('\nContinue?');
   if (!proceed) {
@@ -69,17 +212,17 @@ async function main() {
 
   try {
     const startBalance = balance;
-    const result = await createBothTrees(umi);
+    const result = await createTierTrees(umi, params, { computeBudget, reuse, replaceUsed, tiers });
 
     // Get new balance
     const endBalance = await getWalletBalance(umi);
     const actualCost = startBalance - endBalance;
 
     console.log('\n💾 Configuration saved to data/config.json');
+    console.log('   Trees recorded in data/tree-registry.json');
 
     printSummary('📊 TREE CREATION SUMMARY', {
-      'Participation Tree': result.participation.treeAddress,
-      'Builder Tree': result.builder.treeAddress,
+      ...Object.fromEntries(tiers.map(({ key, label }) => [`${label} Tree`, result[key].treeAddress])),
       'Total Cost': `${actualCost.toFixed(4)} SOL`,
       'Remaining Balance': `${endBalance.toFixed(4)} SOL`
     });
@@ -92,6 +235,10 @@ async function main() {
   } catch (error) {
     console.error('\n❌ Tree creation failed:', error.message);
 
+    if (error.message.includes('--replace')) {
+      console.error('\n   Its POAPs stay valid either way; --replace only stops new mints going into it.\n');
+    }
+
     if (error.message.includes('insufficient')) {
       console.error('\n   Your wallet needs more SOL.');
       console.error('   Fund your wallet and try again.\n');
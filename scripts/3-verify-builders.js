@@ -1,73 +1,244 @@
 #!/usr/bin/env node
 
 /**
- * Script 3: Verify which participants have on-chain activity
+ * Script 3: Verify which participants are builders
  *
- * This script checks each participant's wallet for on-chain transactions
- * within the tour date range to identify builders.
+ * Two strategies (see src/verify.js):
+ * - activity (default): checks each participant's wallet for on-chain
+ *   transactions within the tour date range, and judges them by the
+ *   builder rules (BUILDER_RULES, e.g. deployed a program or signed enough
+ *   transactions). Builders record the rules they matched and the
+ *   evidence signatures.
+ * - program-id: checks the Program ID each participant submitted in
+ *   raw-data/wallets.csv. It must be an executable program on NETWORK,
+ *   with the participant's wallet as its upgrade authority or deployer.
+ *
+ * Either way, data/builders.json records each builder's `method` and evidence,
+ * and results/verification-<strategy>-<timestamp>.json and .csv record the
+ * verdict, evidence and errors for every participant.
+ *
+ * Wallets are checked in parallel within the RPC provider's rate limit,
+ * and RPC responses are cached in data/rpc-cache/. Re-running after
+ * changing the tour dates or rules is answered mostly from the cache.
+ *
+ * Usage:
+ *   node scripts/3-verify-builders.js
+ *   node scripts/3-verify-builders.js --strategy program-id
+ *   node scripts/3-verify-builders.js --no-cache    # ignore and don't write the cache
  *
  * Prerequisites:
  * - data/participants.json with participant data
+ * - raw-data/wallets.csv with a Program ID column (program-id only)
  * - .env with TOUR_START_DATE and TOUR_END_DATE (optional)
+ * - .env with BUILDER_RULES, BUILDER_PROGRAM_IDS, BUILDER_MIN_TRANSACTIONS (optional)
+ * - .env with VERIFY_CONCURRENCY, VERIFY_RATE_LIMIT (optional)
  */
 
 import { validateConfig, getConfig } from '../src/config.js';
-import { verifyAllParticipants } from '../src/verify.js';
+import {
+  verifyAllParticipants, verifyProgramBuilders, loadProgramSubmissions, getVerifyRpcLimits, VERIFY_STRATEGIES
+} from '../src/verify.js';
+import { describeBuilderRules } from '../src/builder-rules.js';
 import { loadParticipants, printHeader, printSummary, formatDate, shortenAddress } from '../src/utils.js';
 
-async function main() {
-  console.log('\n🔍 SSA Builder Verification');
-
-  // Validate configuration
-  validateConfig();
-  const config = getConfig();
-
-  // Load participants
-  const participants = loadParticipants();
+/**
+ * Describe the RPC throughput and cache for the header
+ * @param {object} config - Configuration from getConfig()
+ * @param {boolean} cache - Whether the RPC cache is used
+ * @returns {object} Header rows
+ */
+function rpcHeaderRows(config, cache) {
+  const limits = getVerifyRpcLimits(config);
+  const rate = limits.perSecond > 0 ? `${limits.perSecond} req/s` : 'no rate limit';
+  return {
+    'RPC Limits': `${limits.provider}: ${limits.concurrency} at once, ${rate}`,
+    'RPC Cache': cache ? `data/rpc-cache/${config.network}/` : 'off (--no-cache)'
+  };
+}
 
-  if (participants.length === 0) {
-    console.error('\n❌ No participants found in data/participants.json');
-    console.error('   Add participant data and try again.\n');
-    process.exit(1);
-  }
+/**
+ * Describe RPC cache use for the summary
+ * @param {{cacheHits: number, cacheMisses: number}} rpcStats - From the verify functions
+ * @param {boolean} cache - Whether the RPC cache is used
+ * @returns {object} Summary rows
+ */
+function rpcSummaryRows(rpcStats, cache) {
+  if (!cache) return {};
+  return { '💾 Cached Responses': rpcStats.cacheHits, '🌐 Fetched from RPC': rpcStats.cacheMisses };
+}
 
+/**
+ * Verify by on-chain activity in the tour window
+ * @param {object} config - Configuration from getConfig()
+ * @param {Array<object>} participants - Participants to check
+ * @param {boolean} cache - Whether the RPC cache is used
+ * @returns {Promise<{jsonPath: string, csvPath: string}>} Where the report was saved
+ */
+async function verifyByActivity(config, participants, cache) {
   printHeader('', {
     'Network': config.network,
+    'Strategy': 'activity',
     'Tour Period': `${formatDate(config.tourStartDate)} - ${formatDate(config.tourEndDate)}`,
-    'Participants': participants.length
+    'History Scan': `up to ${config.verifyMaxPages} page(s) of 1,000 signatures per wallet`,
+    'Participants': participants.length,
+    'Builder Rules': config.builderRules.join(', '),
+    ...rpcHeaderRows(config, cache)
   });
 
+  console.log('\nA participant is a builder if any rule matches:');
+  describeBuilderRules(config.builderRules).forEach(line => console.log(`   • ${line}`));
+
   console.log('\nVerifying on-chain activity...\n');
 
   // Progress callback
   const onProgress = (current, total, result) => {
     const name = result.participant.name || shortenAddress(result.participant.wallet);
-    const wallet = shortenAddress(result.participant.wallet);
+    const cutOff = result.historyComplete ? '' : `, history cut off after ${result.pagesScanned} page(s)`;
 
     if (result.isBuilder) {
-      console.log(`[${current}/${total}] ✅ BUILDER: ${name} (${result.transactionCount} transactions)`);
+      const rules = result.matchedRules.map(m => m.rule).join(', ');
+      console.log(`[${current}/${total}] ✅ BUILDER: ${name} (${rules}; ${result.transactionCount} transactions${cutOff})`);
     } else if (result.error) {
       console.log(`[${current}/${total}] ⚠️  Error: ${name} - ${result.error}`);
     } else {
-      console.log(`[${current}/${total}] ⬜ Participant: ${name} (0 transactions)`);
+      console.log(`[${current}/${total}] ⬜ Participant: ${name} (no rule matched; ${result.transactionCount} transactions${cutOff})`);
+    }
+  };
+
+  const { builders, nonBuilders, report, rpcStats } = await verifyAllParticipants(
+    participants,
+    config.tourStartDate,
+    config.tourEndDate,
+    onProgress,
+    { cache }
+  );
+
+  // Only cut-off wallets without an error; errors are reported on their own
+  const cutOff = [...builders, ...nonBuilders].filter(p => !p.historyComplete && !p.error);
+
+  printSummary('📊 VERIFICATION SUMMARY', {
+    'Total Participants': participants.length,
+    '✅ Verified Builders': builders.length,
+    '⬜ Participants Only': nonBuilders.length,
+    ...Object.fromEntries(config.builderRules.map(rule => [
+      `   Matched ${rule}`,
+      builders.filter(b => b.matchedRules.some(m => m.rule === rule)).length
+    ])),
+    '⚠️  History Cut Off': cutOff.length,
+    ...rpcSummaryRows(rpcStats, cache)
+  });
+
+  if (cutOff.length > 0) {
+    console.warn(`\n⚠️  ${cutOff.length} wallet(s) have more history than VERIFY_MAX_PAGES covers:`);
+    cutOff.slice(0, 10).forEach(p => console.warn(`   - ${p.name || 'Unknown'} (${shortenAddress(p.wallet)})`));
+    if (cutOff.length > 10) console.warn(`   ... and ${cutOff.length - 10} more`);
+    console.warn('   Their counts may be low, and some non-builders may be builders.');
+    console.warn('   Raise VERIFY_MAX_PAGES and re-run to scan further back.');
+  }
+
+  return report;
+}
+
+/**
+ * Verify by the Program IDs participants submitted
+ * @param {object} config - Configuration from getConfig()
+ * @param {Array<object>} participants - Participants to check
+ * @param {boolean} cache - Whether the RPC cache is used
+ * @returns {Promise<{jsonPath: string, csvPath: string}>} Where the report was saved
+ */
+async function verifyByProgramId(config, participants, cache) {
+  const submissions = loadProgramSubmissions();
+  const submitted = participants.filter(p => submissions.has(p.wallet)).length;
+
+  printHeader('', {
+    'Network': config.network,
+    'Strategy': 'program-id',
+    'Participants': participants.length,
+    'Submitted Programs': `${submissions.size} in raw-data/wallets.csv, ${submitted} from participants`,
+    ...rpcHeaderRows(config, cache)
+  });
+
+  console.log('\nA participant is a builder if their program is executable and they are');
+  console.log('its upgrade authority, or signed its deploy or an upgrade.');
+
+  console.log('\nVerifying submitted programs...\n');
+
+  // Progress callback
+  const onProgress = (current, total, result) => {
+    const name = result.participant.name || shortenAddress(result.participant.wallet);
+
+    if (result.isBuilder) {
+      console.log(`[${current}/${total}] ✅ BUILDER: ${name} (${shortenAddress(result.programId)}, ${result.method})`);
+    } else if (result.programId && result.historyComplete === false) {
+      console.log(`[${current}/${total}] ⚠️  Unverified: ${name} (${shortenAddress(result.programId)}) - ${result.error}`);
+    } else if (result.programId) {
+      console.log(`[${current}/${total}] ❌ Not verified: ${name} (${shortenAddress(result.programId)}) - ${result.error}`);
+    } else {
+      console.log(`[${current}/${total}] ⬜ Participant: ${name} (no program submitted)`);
     }
   };
 
+  const { builders, nonBuilders, report, rpcStats } = await verifyProgramBuilders(participants, submissions, onProgress, { cache });
+
+  const unverified = nonBuilders.filter(p => p.programId && p.historyComplete === false);
+  const rejected = nonBuilders.filter(p => p.programId && p.historyComplete !== false);
+  printSummary('📊 VERIFICATION SUMMARY', {
+    'Total Participants': participants.length,
+    '✅ Verified Builders': builders.length,
+    '   By upgrade authority': builders.filter(b => b.method === 'upgrade-authority').length,
+    '   By deploy signature': builders.filter(b => b.method === 'deploy-signature').length,
+    '❌ Program Not Verified': rejected.length,
+    '⚠️  History Cut Off': unverified.length,
+    '⬜ No Program Submitted': nonBuilders.length - rejected.length - unverified.length,
+    ...rpcSummaryRows(rpcStats, cache)
+  });
+
+  // Submissions from wallets missing in participants.json can't be minted to
+  const participantWallets = new Set(participants.map(p => p.wallet));
+  const unmatched = [...submissions.keys()].filter(wallet => !participantWallets.has(wallet));
+  if (unmatched.length > 0) {
+    console.warn(`\n⚠️  ${unmatched.length} submitted program(s) belong to wallets not in data/participants.json.`);
+    console.warn('   Run `node scripts/consolidate-data.js` to pick them up.');
+  }
+
+  return report;
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const strategyIndex = args.indexOf('--strategy');
+  const strategy = strategyIndex >= 0 ? args[strategyIndex + 1] : 'activity';
+  const cache = !args.includes('--no-cache');
+
+  console.log('\n🔍 SSA Builder Verification');
+
+  if (!VERIFY_STRATEGIES.includes(strategy)) {
+    console.error(`\n❌ --strategy must be one of: ${VERIFY_STRATEGIES.join(', ')}\n`);
+    process.exit(1);
+  }
+
+  // Validate configuration
+  validateConfig();
+  const config = getConfig();
+
+  // Load participants
+  const participants = loadParticipants();
+
+  if (participants.length === 0) {
+    console.error('\n❌ No participants found in data/participants.json');
+    console.error('   Add participant data and try again.\n');
+    process.exit(1);
+  }
+
   try {
-    const { builders, nonBuilders } = await verifyAllParticipants(
-      participants,
-      config.tourStartDate,
-      config.tourEndDate,
-      onProgress
-    );
-
-    printSummary('📊 VERIFICATION SUMMARY', {
-      'Total Participants': participants.length,
-      '✅ Verified Builders': builders.length,
-      '⬜ Participants Only': nonBuilders.length
-    });
+    const report = strategy === 'program-id'
+      ? await verifyByProgramId(config, participants, cache)
+      : await verifyByActivity(config, participants, cache);
 
     console.log('\n💾 Builders saved to data/builders.json');
+    console.log('📄 Report for every participant saved to:');
+    console.log(`   ${report.jsonPath}`);
+    console.log(`   ${report.csvPath}`);
     console.log('\n✨ Verification complete! Ready to mint.');
     console.log('   Next steps:');
     console.log('   1. Run `node scripts/4-mint-participation.js` for all participants');
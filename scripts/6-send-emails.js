@@ -3,13 +3,14 @@
 /**
  * Script 6: Send email notifications to POAP recipients
  *
- * This script sends emails to participants and builders after minting.
- * Run this after scripts 4 and 5 have completed.
+ * This script sends emails to the recipients of every tier in the event
+ * file after minting, using each tier's email template. Run this after the
+ * mint scripts have completed.
  *
  * Usage:
  *   node scripts/6-send-emails.js                    # Send all pending emails
  *   node scripts/6-send-emails.js --participation   # Send only participation emails
- *   node scripts/6-send-emails.js --builders        # Send only builder emails
+ *   node scripts/6-send-emails.js --builders        # Send only builder emails (--<key> or --<slug>)
  *   node scripts/6-send-emails.js --retry           # Retry failed emails only
  */
 
@@ -18,7 +19,8 @@ import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { sendBatchEmails, validateEmailConfig } from '../src/email.js';
-import { participationEmailTemplate, builderEmailTemplate } from '../src/email-templates.js';
+import { renderTierEmail } from '../src/email-templates.js';
+import { loadEvent } from '../src/event.js';
 import {
   loadJson,
   saveJson,
@@ -40,7 +42,7 @@ function findLatestResultsFile(type) {
   if (!fs.existsSync(RESULTS_DIR)) return null;
 
   const files = fs.readdirSync(RESULTS_DIR)
-    .filter(f => f.startsWith(type) && f.endsWith('.json'))
+    .filter(f => f.startsWith(`${type}-`) && f.endsWith('.json'))
     .sort()
     .reverse();
 
@@ -71,22 +73,22 @@ function saveEmailTracking(tracking) {
 }
 
 /**
- * Prepare emails from mint results
+ * Prepare emails from a tier's mint results
  */
-function prepareEmails(results, type, network, poapImageUrl) {
+function prepareEmails(results, tier, event, network, poapImageUrl) {
   const emails = [];
 
   for (const recipient of results) {
     // Skip if no email address
     if (!recipient.email) continue;
 
-    const templateFn = type === 'participation' ? participationEmailTemplate : builderEmailTemplate;
-    const template = templateFn({
+    const template = renderTierEmail(tier, event, {
       name: recipient.name,
       wallet: recipient.wallet,
       network,
       transactionCount: recipient.transactionCount,
       poapImageUrl,
+      assetId: recipient.assetId,
     });
 
     emails.push({
@@ -94,9 +96,10 @@ function prepareEmails(results, type, network, poapImageUrl) {
       subject: template.subject,
       html: template.html,
       metadata: {
-        type,
+        type: tier.key,
         name: recipient.name,
         wallet: recipient.wallet,
+        assetId: recipient.assetId || null,
       },
     });
   }
@@ -106,8 +109,6 @@ function prepareEmails(results, type, network, poapImageUrl) {
 
 async function main() {
   const args = process.argv.slice(2);
-  const participationOnly = args.includes('--participation');
-  const buildersOnly = args.includes('--builders');
   const retryOnly = args.includes('--retry');
 
   console.log('\n📧 SSA POAP Email Notifications');
@@ -123,10 +124,21 @@ async function main() {
 
   const network = process.env.NETWORK || 'devnet';
 
+  let event;
+  try {
+    event = loadEvent();
+  } catch (error) {
+    console.error(`\n❌ ${error.message}\n`);
+    process.exit(1);
+  }
+
+  // --<key> or --<slug> limits sending to those tiers
+  const selected = event.tiers.filter(t => args.includes(`--${t.key}`) || args.includes(`--${t.slug}`));
+  const tiers = selected.length > 0 ? selected : event.tiers;
+
   // Load project config (for POAP image URLs)
   const projectConfig = loadConfig();
-  const participationImageUrl = projectConfig?.participation?.imageUri || '';
-  const builderImageUrl = projectConfig?.builder?.imageUri || '';
+  const imageUrl = (tier) => projectConfig?.[tier.key]?.imageUri || '';
 
   // Load email tracking
   const tracking = loadEmailTracking();
@@ -141,46 +153,29 @@ async function main() {
       process.exit(0);
     }
 
-    console.log(`\n📋 Found ${tracking.failed.length} failed emails to retry.`);
-    allEmails = tracking.failed.map(f => ({
-      email: f.email,
-      subject: f.type === 'participation'
-        ? participationEmailTemplate({ name: f.name, wallet: f.wallet, network, poapImageUrl: participationImageUrl }).subject
-        : builderEmailTemplate({ name: f.name, wallet: f.wallet, network, poapImageUrl: builderImageUrl }).subject,
-      html: f.type === 'participation'
-        ? participationEmailTemplate({ name: f.name, wallet: f.wallet, network, poapImageUrl: participationImageUrl }).html
-        : builderEmailTemplate({ name: f.name, wallet: f.wallet, network, poapImageUrl: builderImageUrl }).html,
-      metadata: { type: f.type, name: f.name, wallet: f.wallet },
-    }));
-
-    // Clear failed list since we're retrying
-    tracking.failed = [];
-  } else {
-    // Load participation results
-    if (!buildersOnly) {
-      const participationFile = findLatestResultsFile('participation');
-      if (participationFile) {
-        const data = loadJson(participationFile);
-        const emails = prepareEmails(data.successful || [], 'participation', network, participationImageUrl)
-          .filter(e => !alreadySent.has(`participation:${e.email}`));
-        allEmails.push(...emails);
-        console.log(`\n📄 Participation: ${emails.length} emails to send`);
-      } else {
-        console.log('\n⚠️  No participation results found. Run mint-participation first.');
-      }
-    }
+    // Failures from tiers no longer in the event file are kept for later
+    const retryable = tracking.failed.filter(f => event.tiers.some(t => t.key === f.type));
 
-    // Load builder results
-    if (!participationOnly) {
-      const buildersFile = findLatestResultsFile('builders');
-      if (buildersFile) {
-        const data = loadJson(buildersFile);
-        const emails = prepareEmails(data.successful || [], 'builder', network, builderImageUrl)
-          .filter(e => !alreadySent.has(`builder:${e.email}`));
+    console.log(`\n📋 Found ${retryable.length} failed emails to retry.`);
+    allEmails = retryable.flatMap(f => {
+      const tier = event.tiers.find(t => t.key === f.type);
+      return prepareEmails([f], tier, event, network, imageUrl(tier));
+    });
+
+    // Clear retried failures since we're retrying
+    tracking.failed = tracking.failed.filter(f => !retryable.includes(f));
+  } else {
+    // Load each tier's latest results
+    for (const tier of tiers) {
+      const resultsFile = findLatestResultsFile(tier.slug);
+      if (resultsFile) {
+        const data = loadJson(resultsFile);
+        const emails = prepareEmails(data.successful || [], tier, event, network, imageUrl(tier))
+          .filter(e => !alreadySent.has(`${tier.key}:${e.email}`));
         allEmails.push(...emails);
-        console.log(`📄 Builders: ${emails.length} emails to send`);
+        console.log(`\n📄 ${tier.label}: ${emails.length} emails to send`);
       } else {
-        console.log('\n⚠️  No builder results found. Run mint-builders first.');
+        console.log(`\n⚠️  No ${tier.label} results found. Run \`npm run mint -- ${tier.key}\` first.`);
       }
     }
   }
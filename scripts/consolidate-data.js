@@ -22,6 +22,7 @@
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { parseCSV } from '../src/utils.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -46,56 +47,6 @@ function colorize(text, color) {
   return `${colors[color]}${text}${colors.reset}`;
 }
 
-/**
- * Parse a CSV string into array of objects
- */
-function parseCSV(content) {
-  const lines = content.trim().split('\n');
-  if (lines.length < 2) return [];
-
-  // Parse header - handle quoted fields
-  const header = parseCSVLine(lines[0]);
-
-  const rows = [];
-  for (let i = 1; i < lines.length; i++) {
-    const values = parseCSVLine(lines[i]);
-    if (values.length === 0) continue;
-
-    const row = {};
-    header.forEach((key, index) => {
-      row[key.trim()] = values[index]?.trim() || '';
-    });
-    rows.push(row);
-  }
-
-  return rows;
-}
-
-/**
- * Parse a single CSV line handling quoted fields
- */
-function parseCSVLine(line) {
-  const result = [];
-  let current = '';
-  let inQuotes = false;
-
-  for (let i = 0; i < line.length; i++) {
-    const char = line[i];
-
-    if (char === '"') {
-      inQuotes = !inQuotes;
-    } else if (char === ',' && !inQuotes) {
-      result.push(current);
-      current = '';
-    } else {
-      current += char;
-    }
-  }
-  result.push(current);
-
-  return result.map(s => s.replace(/^"|"$/g, '').trim());
-}
-
 /**
  * Calculate similarity between two strings (Levenshtein-based)
  */
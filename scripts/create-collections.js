@@ -0,0 +1,99 @@
+#!/usr/bin/env node
+
+/**
+ * Create a verified Metaplex collection NFT for each POAP tier in the event
+ *
+ * POAPs minted into these collections carry a verified collection and
+ * creator, so wallets and marketplaces can tell authentic SSA POAPs apart
+ * from look-alikes. Collection mints are saved to data/config.json.
+ *
+ * Prerequisites:
+ * - Script 1 completed (metadata URIs in data/config.json)
+ * - Wallet funded with ~0.05 SOL
+ *
+ * Usage:
+ *   node scripts/create-collections.js
+ */
+
+import { validateConfig, getConfig } from '../src/config.js';
+import { createUmiClient, getWalletAddress, getWalletBalance } from '../src/umi.js';
+import { createTierCollections } from '../src/collection.js';
+import { resolveComputeBudget } from '../src/fees.js';
+import { getTiers } from '../src/event.js';
+import { loadConfig, printHeader, printSummary, confirm } from '../src/utils.js';
+
+async function main() {
+  console.log('\n📚 SSA POAP Collection Setup');
+
+  // Validate configuration
+  validateConfig();
+  const envConfig = getConfig();
+
+  let tiers;
+  try {
+    tiers = getTiers(envConfig.eventFile);
+  } catch (error) {
+    console.error(`\n❌ ${error.message}\n`);
+    process.exit(1);
+  }
+
+  // Check that config exists from previous step
+  const config = loadConfig();
+  if (!config || tiers.some(({ key }) => !config[key]?.metadataUri)) {
+    console.error('\n❌ Config not found or incomplete.');
+    console.error('   Run `node scripts/1-upload-assets.js` first.\n');
+    process.exit(1);
+  }
+
+  // Initialize Umi
+  const umi = createUmiClient();
+  const walletAddress = getWalletAddress(umi);
+  const balance = await getWalletBalance(umi);
+  const computeBudget = await resolveComputeBudget(umi, envConfig);
+
+  printHeader('', {
+    'Network': envConfig.network,
+    'Wallet': walletAddress,
+    'Balance': `${balance.toFixed(4)} SOL`,
+    'Priority Fee': `${computeBudget.microLamports} µlamports/CU (${computeBudget.source})`,
+    ...Object.fromEntries(tiers.map(({ key, label }) => [
+      `${label} Collection`,
+      config[key].collectionMint || 'not created'
+    ]))
+  });
+
+  if (tiers.every(({ key }) => config[key].collectionMint)) {
+    console.log('\n✅ All collections already exist. Nothing to do.\n');
+    process.exit(0);
+  }
+
+  console.log('\n⚠️  This wallet becomes the collection update authority and verified creator.');
+  console.log('   Each collection costs approximately 0.02 SOL.');
+
+  const proceed = await confirm('\nContinue?');
+  if (!proceed) {
+    console.log('\n❌ Cancelled.\n');
+    process.exit(0);
+  }
+
+  try {
+    const startBalance = balance;
+    const result = await createTierCollections(umi, tiers, { computeBudget });
+    const endBalance = await getWalletBalance(umi);
+
+    console.log('\n💾 Configuration saved to data/config.json');
+
+    printSummary('📊 COLLECTION SUMMARY', {
+      ...Object.fromEntries(tiers.map(({ key, label }) => [`${label} Collection`, result[key].collectionMint])),
+      'Total Cost': `${(startBalance - endBalance).toFixed(4)} SOL`
+    });
+
+    console.log('\n✨ Collections ready! Mint scripts will now mint into them.\n');
+
+  } catch (error) {
+    console.error('\n❌ Collection creation failed:', error.message);
+    process.exit(1);
+  }
+}
+
+main().catch(console.error);
@@ -0,0 +1,46 @@
+#!/usr/bin/env node
+
+/**
+ * Mint POAPs for any tier declared in the event file
+ *
+ * Runs the same mint as scripts 4 and 5 for a tier named on the command
+ * line (e.g. a Speaker tier added to the event file). With no tier, every
+ * declared tier is minted in order, each with its own confirmation.
+ *
+ * Prerequisites:
+ * - Scripts 1-2 completed (URIs and trees in config for the tier)
+ * - The tier's eligibility file (e.g. data/speakers.json)
+ *
+ * Usage:
+ *   node scripts/mint-tier.js speaker             # One tier
+ *   node scripts/mint-tier.js speaker --dry-run   # Preview without minting
+ *   node scripts/mint-tier.js                     # Every tier, in order
+ */
+
+import { getConfig } from '../src/config.js';
+import { getTiers } from '../src/event.js';
+import { runTierMint } from '../src/mint-runner.js';
+
+async function main() {
+  const args = process.argv.slice(2);
+  const tierArg = args[0] && !args[0].startsWith('--') ? args[0] : null;
+
+  if (tierArg) {
+    await runTierMint(tierArg, args.slice(1));
+    return;
+  }
+
+  let tiers;
+  try {
+    tiers = getTiers(getConfig().eventFile);
+  } catch (error) {
+    console.error(`\n❌ ${error.message}\n`);
+    process.exit(1);
+  }
+
+  for (const tier of tiers) {
+    await runTierMint(tier.key, args);
+  }
+}
+
+main().catch(console.error);
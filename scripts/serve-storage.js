@@ -0,0 +1,70 @@
+#!/usr/bin/env node
+
+/**
+ * Serve the local storage backend over HTTP
+ *
+ * With STORAGE_BACKEND=local, uploads are written to LOCAL_STORAGE_DIR and
+ * their URIs point at LOCAL_STORAGE_URL. This script serves that directory
+ * there, so metadata and images resolve for localnet runs and wallets on
+ * the same machine. Stop it with Ctrl+C.
+ *
+ * Usage:
+ *   node scripts/serve-storage.js
+ */
+
+import fs from 'fs';
+import http from 'http';
+import path from 'path';
+import { getConfig } from '../src/config.js';
+import { CONTENT_TYPES } from '../src/storage.js';
+
+function main() {
+  const { localStorageDir, localStorageUrl } = getConfig();
+  const url = new URL(localStorageUrl);
+  const port = Number(url.port) || 80;
+
+  console.log('\n🗄️  SSA POAP Local Storage');
+
+  const server = http.createServer((req, res) => {
+    // Files are flat and content-addressed; anything else is not ours
+    let name;
+    try {
+      name = path.basename(decodeURIComponent(new URL(req.url, localStorageUrl).pathname));
+    } catch {
+      res.writeHead(400).end('Bad request');
+      console.log(`   400 ${req.url}`);
+      return;
+    }
+    const filepath = path.join(localStorageDir, name);
+
+    // '..' and '.' are directories, not stored files
+    if (req.method !== 'GET' || !name || !fs.existsSync(filepath) || !fs.statSync(filepath).isFile()) {
+      res.writeHead(404).end('Not found');
+      console.log(`   404 ${req.url}`);
+      return;
+    }
+
+    const stream = fs.createReadStream(filepath);
+    stream.on('error', (error) => {
+      console.log(`   500 ${req.url} (${error.message})`);
+      if (!res.headersSent) res.writeHead(500);
+      res.end();
+    });
+    stream.once('open', () => {
+      res.writeHead(200, {
+        'Content-Type': CONTENT_TYPES[path.extname(name).toLowerCase()] || 'application/octet-stream',
+        'Access-Control-Allow-Origin': '*'
+      });
+      stream.pipe(res);
+      console.log(`   200 ${req.url}`);
+    });
+  });
+
+  server.listen(port, () => {
+    console.log(`\n📂 Serving ${localStorageDir}`);
+    console.log(`   at ${localStorageUrl}`);
+    console.log('\n   Press Ctrl+C to stop.\n');
+  });
+}
+
+main();
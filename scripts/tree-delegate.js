@@ -0,0 +1,196 @@
+#!/usr/bin/env node
+
+/**
+ * Tree delegate: let another wallet mint POAPs without the owner key
+ *
+ * Sets (or revokes) the Bubblegum tree delegate on each tier's current and
+ * spare trees. If the tier mints into a verified collection, the delegate is
+ * also approved as a collection authority so its mints can verify the
+ * collection. The delegate then runs the mint scripts with its own
+ * PRIVATE_KEY and a copy of data/config.json.
+ *
+ * Must be run by the tree creator (the wallet that ran create-trees).
+ *
+ * Usage:
+ *   node scripts/tree-delegate.js show
+ *   node scripts/tree-delegate.js set <wallet>               # All tiers
+ *   node scripts/tree-delegate.js set <wallet> --tier builder
+ *   node scripts/tree-delegate.js revoke                      # Back to the creator
+ */
+
+import { validateConfig, getConfig } from '../src/config.js';
+import { createUmiClient, getWalletAddress, getWalletBalance } from '../src/umi.js';
+import { fetchTreeInfo } from '../src/merkle-tree.js';
+import { getTiers } from '../src/event.js';
+import { updateTreeDelegate, approveCollectionDelegate, revokeCollectionDelegate } from '../src/tree-delegate.js';
+import { resolveComputeBudget } from '../src/fees.js';
+import { loadConfig, printHeader, printSummary, confirm, shortenAddress, isValidSolanaAddress } from '../src/utils.js';
+
+const ACTIONS = ['show', 'set', 'revoke'];
+
+async function main() {
+  const args = process.argv.slice(2);
+  const action = args[0];
+  const tierIndex = args.indexOf('--tier');
+  const tierFilter = tierIndex >= 0 ? args[tierIndex + 1] : null;
+  const delegateArg = args[1] && !args[1].startsWith('--') ? args[1] : null;
+
+  console.log('\n🔑 SSA POAP Tree Delegate');
+
+  if (!ACTIONS.includes(action)) {
+    console.error(`\n❌ Unknown action: ${action || '(none)'}`);
+    console.error('   Usage: node scripts/tree-delegate.js <show|set <wallet>|revoke> [--tier <key>]\n');
+    process.exit(1);
+  }
+
+  if (action === 'set' && (!delegateArg || !isValidSolanaAddress(delegateArg))) {
+    console.error('\n❌ `set` needs a valid delegate wallet address.\n');
+    process.exit(1);
+  }
+
+  // Validate configuration
+  validateConfig();
+  const envConfig = getConfig();
+
+  let allTiers;
+  try {
+    allTiers = getTiers(envConfig.eventFile);
+  } catch (error) {
+    console.error(`\n❌ ${error.message}\n`);
+    process.exit(1);
+  }
+
+  if (tierFilter && !allTiers.some(t => t.key === tierFilter)) {
+    console.error(`\n❌ --tier must be one of: ${allTiers.map(t => t.key).join(', ')}\n`);
+    process.exit(1);
+  }
+
+  const config = loadConfig();
+  const tiers = allTiers.filter(t => (!tierFilter || t.key === tierFilter) && config?.[t.key]?.treeAddress);
+  if (tiers.length === 0) {
+    console.error('\n❌ No trees in data/config.json.');
+    console.error('   Run `node scripts/2-create-trees.js` first.\n');
+    process.exit(1);
+  }
+
+  // Initialize Umi
+  const umi = createUmiClient();
+  const walletAddress = getWalletAddress(umi);
+  const balance = await getWalletBalance(umi);
+
+  printHeader('', {
+    'Network': envConfig.network,
+    'Wallet': walletAddress,
+    'Balance': `${balance.toFixed(4)} SOL`,
+    'Action': action === 'set' ? `set delegate ${delegateArg}` : action
+  });
+
+  // Current state of every tree the tiers can mint into
+  const targets = [];
+  for (const { key, label } of tiers) {
+    const addresses = [config[key].treeAddress, ...(config[key].spareTrees || [])];
+    for (const address of addresses) {
+      const info = await fetchTreeInfo(umi, address);
+      if (!info) {
+        console.log(`\n❌ ${label} tree ${address} not found on ${envConfig.network}`);
+        continue;
+      }
+      const delegated = info.treeDelegate !== info.treeCreator;
+      console.log(`\n🌳 ${label} tree ${shortenAddress(address)}`);
+      console.log(`   Creator: ${info.treeCreator}`);
+      console.log(`   Delegate: ${delegated ? info.treeDelegate : 'none (creator only)'}`);
+      targets.push({ tier: key, label, collectionMint: config[key].collectionMint || null, info });
+    }
+  }
+
+  if (action === 'show') {
+    console.log('');
+    process.exit(0);
+  }
+
+  const notCreator = targets.filter(t => t.info.treeCreator !== walletAddress);
+  if (notCreator.length > 0) {
+    console.error(`\n❌ Only the tree creator can change delegates. This wallet did not create:`);
+    notCreator.forEach(t => console.error(`   - ${t.label} tree ${t.info.address}`));
+    console.error('');
+    process.exit(1);
+  }
+
+  console.log(action === 'set'
+    ? `\n⚠️  ${delegateArg} will be able to mint into ${targets.length} tree(s).`
+    : `\n⚠️  Delegates will lose mint access to ${targets.length} tree(s).`);
+  console.log('   A tree has one delegate; setting a new one replaces the old one.');
+
+  const proceed = await confirm('\nContinue?');
+  if (!proceed) {
+    console.log('\n❌ Cancelled.\n');
+    process.exit(0);
+  }
+
+  const computeBudget = await resolveComputeBudget(umi, envConfig);
+  const collections = new Map();
+  let updated = 0;
+  let failed = 0;
+
+  for (const target of targets) {
+    const { address, treeCreator, treeDelegate } = target.info;
+    const newDelegate = action === 'set' ? delegateArg : treeCreator;
+
+    if (treeDelegate === newDelegate) {
+      console.log(`✓ ${target.label} tree ${shortenAddress(address)} already set`);
+    } else {
+      try {
+        await updateTreeDelegate(umi, address, newDelegate, { computeBudget });
+        console.log(`✅ ${target.label} tree ${shortenAddress(address)} → ${shortenAddress(newDelegate)}`);
+        updated++;
+      } catch (error) {
+        console.log(`❌ ${target.label} tree ${shortenAddress(address)} - ${error.message}`);
+        failed++;
+        continue;
+      }
+    }
+
+    // Collection access follows the tree delegate: the replaced one loses it
+    if (target.collectionMint) {
+      if (treeDelegate !== treeCreator && treeDelegate !== newDelegate) {
+        collections.set(`${target.collectionMint}:${treeDelegate}`, { ...target, holder: treeDelegate, approve: false });
+      }
+      if (newDelegate !== treeCreator) {
+        collections.set(`${target.collectionMint}:${newDelegate}`, { ...target, holder: newDelegate, approve: true });
+      }
+    }
+  }
+
+  for (const { label, collectionMint, holder, approve } of collections.values()) {
+    try {
+      const signature = approve
+        ? await approveCollectionDelegate(umi, collectionMint, holder, { computeBudget })
+        : await revokeCollectionDelegate(umi, collectionMint, holder, { computeBudget });
+      const verb = approve ? 'approved' : 'revoked';
+      console.log(signature
+        ? `✅ ${label} collection: ${shortenAddress(holder)} ${verb}`
+        : `✓ ${label} collection: ${shortenAddress(holder)} already ${verb}`);
+    } catch (error) {
+      console.log(`❌ ${label} collection - ${error.message}`);
+      console.log('   Only the collection update authority can change collection delegates.');
+      failed++;
+    }
+  }
+
+  printSummary('📊 DELEGATE SUMMARY', {
+    'Trees Updated': updated,
+    'Collection Changes': collections.size,
+    'Failed': failed
+  });
+
+  if (action === 'set') {
+    console.log(`\n✨ ${shortenAddress(delegateArg)} can now run the mint scripts with its own PRIVATE_KEY.`);
+    console.log('   Give it a copy of data/config.json; never share your own key.\n');
+  } else {
+    console.log('');
+  }
+
+  if (failed > 0) process.exit(1);
+}
+
+main().catch(console.error);
@@ -0,0 +1,172 @@
+#!/usr/bin/env node
+
+/**
+ * Tree inventory: show the on-chain state of every tree in data/config.json
+ *
+ * For each tier's current, previous and spare trees this reports the tree
+ * shape, mint counts, creator, delegate and public/private status. Trees
+ * that don't exist on the configured network are looked up on the other
+ * networks, so a devnet tree left in config for a mainnet run is caught
+ * before minting.
+ *
+ * Prerequisites:
+ * - Script 2 completed (tree addresses in data/config.json)
+ *
+ * Usage:
+ *   node scripts/tree-inventory.js
+ */
+
+import { publicKey } from '@metaplex-foundation/umi';
+import { validateConfig, getConfig, VALID_NETWORKS, DEFAULT_RPC_URLS } from '../src/config.js';
+import { createUmiClient, createReadOnlyUmiClient, getWalletAddress } from '../src/umi.js';
+import { fetchTreeInfo } from '../src/merkle-tree.js';
+import { getTiers } from '../src/event.js';
+import { loadConfig, printHeader, printSummary } from '../src/utils.js';
+
+/**
+ * List every tree recorded for each tier
+ * @param {object} config - Contents of data/config.json
+ * @param {Array<object>} tiers - Tiers from the event file
+ * @returns {Array<{tier: string, role: string, address: string}>} Trees to inspect
+ */
+function listTrees(config, tiers) {
+  const trees = [];
+
+  for (const { key, label } of tiers) {
+    const tier = config[key] || {};
+    if (tier.treeAddress) {
+      trees.push({ tier: label, role: 'current', address: tier.treeAddress });
+    }
+    (tier.previousTrees || []).forEach(address => trees.push({ tier: label, role: 'previous', address }));
+    (tier.spareTrees || []).forEach(address => trees.push({ tier: label, role: 'spare', address }));
+  }
+
+  return trees;
+}
+
+/**
+ * Find which other networks an account exists on
+ * @param {string} address - Account public key
+ * @param {string} network - Network already checked
+ * @returns {Promise<Array<string>>} Networks where the account exists
+ */
+async function findOnOtherNetworks(address, network) {
+  const found = [];
+
+  for (const other of VALID_NETWORKS.filter(n => n !== network)) {
+    try {
+      const umi = createReadOnlyUmiClient(DEFAULT_RPC_URLS[other]);
+      if (await umi.rpc.accountExists(publicKey(address))) {
+        found.push(other);
+      }
+    } catch {
+      // Public RPC unreachable: nothing to report for this network
+    }
+  }
+
+  return found;
+}
+
+async function main() {
+  console.log('\n🌳 SSA POAP Tree Inventory');
+
+  // Validate configuration
+  validateConfig();
+  const envConfig = getConfig();
+
+  let tiers;
+  try {
+    tiers = getTiers(envConfig.eventFile);
+  } catch (error) {
+    console.error(`\n❌ ${error.message}\n`);
+    process.exit(1);
+  }
+
+  const config = loadConfig();
+  const trees = config ? listTrees(config, tiers) : [];
+  if (trees.length === 0) {
+    console.error('\n❌ No trees in data/config.json.');
+    console.error('   Run `node scripts/2-create-trees.js` first.\n');
+    process.exit(1);
+  }
+
+  // Initialize Umi
+  const umi = createUmiClient();
+  const walletAddress = getWalletAddress(umi);
+
+  printHeader('', {
+    'Network': envConfig.network,
+    'Config Network': config.network || 'not recorded',
+    'Wallet': walletAddress,
+    'Trees': trees.length
+  });
+
+  const issues = [];
+
+  if (config.network && config.network !== envConfig.network) {
+    issues.push(`data/config.json was created on ${config.network}, but NETWORK is ${envConfig.network}`);
+    console.log(`\n⚠️  data/config.json was created on ${config.network}, but NETWORK is ${envConfig.network}.`);
+  }
+
+  const remainingByTier = {};
+
+  for (const tree of trees) {
+    console.log(`\n🌳 ${tree.tier} (${tree.role}): ${tree.address}`);
+
+    let info;
+    try {
+      info = await fetchTreeInfo(umi, tree.address);
+    } catch (error) {
+      console.log(`   ❌ Could not read tree: ${error.message}`);
+      issues.push(`${tree.tier} ${tree.role} tree ${tree.address} could not be read`);
+      continue;
+    }
+
+    if (!info) {
+      const elsewhere = await findOnOtherNetworks(tree.address, envConfig.network);
+      const where = elsewhere.length > 0 ? `; it exists on ${elsewhere.join(', ')}` : '';
+      console.log(`   ❌ Not found on ${envConfig.network}${where}`);
+      issues.push(`${tree.tier} ${tree.role} tree ${tree.address} is not on ${envConfig.network}${where}`);
+      continue;
+    }
+
+    const canMint = info.isPublic || [info.treeCreator, info.treeDelegate].includes(walletAddress);
+
+    console.log(`   Shape: depth ${info.maxDepth}, buffer ${info.maxBufferSize}, canopy ${info.canopyDepth}`);
+    console.log(`   Minted: ${info.minted.toLocaleString()} / ${info.capacity.toLocaleString()} (${info.remaining.toLocaleString()} remaining)`);
+    console.log(`   Creator: ${info.treeCreator}${info.treeCreator === walletAddress ? ' (this wallet)' : ''}`);
+    console.log(`   Delegate: ${info.treeDelegate}${info.treeDelegate === walletAddress ? ' (this wallet)' : ''}`);
+    console.log(`   Access: ${info.isPublic ? 'public (anyone can mint)' : 'private (creator or delegate only)'}`);
+
+    if (!canMint && tree.role !== 'previous') {
+      console.log('   ⚠️  This wallet cannot mint into this tree.');
+      issues.push(`${tree.tier} ${tree.role} tree ${tree.address} does not accept mints from this wallet`);
+    }
+    if (tree.role === 'current' && info.remaining === 0) {
+      console.log('   ⚠️  Tree is full; the next mint run will roll over.');
+    }
+
+    if (tree.role !== 'previous') {
+      remainingByTier[tree.tier] = (remainingByTier[tree.tier] || 0) + info.remaining;
+    }
+  }
+
+  printSummary('📊 INVENTORY SUMMARY', {
+    ...Object.fromEntries(tiers.map(({ label }) => [
+      `${label} Room`,
+      `${(remainingByTier[label] || 0).toLocaleString()} mints (current + spare trees)`
+    ])),
+    'Issues': issues.length
+  });
+
+  if (issues.length > 0) {
+    console.log('\n⚠️  Issues:');
+    issues.forEach(issue => console.log(`   - ${issue}`));
+    console.log('');
+    process.exit(1);
+  }
+
+  console.log('\n✅ All trees found and mintable.\n');
+}
+
+main().catch(console.error);
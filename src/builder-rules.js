@@ -0,0 +1,176 @@
+/**
+ * Builder rules
+ *
+ * Decides whether a wallet's in-range transactions make it a builder.
+ * BUILDER_RULES picks the rules; a wallet matching any of them is a
+ * builder. Each matched rule keeps the signatures that satisfied it as
+ * evidence.
+ *
+ * Except for any-transaction, rules only count successful transactions the
+ * wallet signed, so receiving an airdrop or faucet transfer doesn't count.
+ */
+
+import bs58 from 'bs58';
+
+const BPF_LOADER_UPGRADEABLE = 'BPFLoaderUpgradeab1e11111111111111111111111';
+
+// BPF Loader Upgradeable instructions that deploy or upgrade a program
+const DEPLOY_INSTRUCTION_TYPES = ['deployWithMaxDataLen', 'upgrade'];
+const DEPLOY_INSTRUCTION_INDEXES = [2, 3];
+
+// Transactions fetched per RPC batch
+const FETCH_BATCH_SIZE = 50;
+
+/**
+ * Get an address from a parsed transaction as base58
+ * Transactions from the RPC hold PublicKeys; ones loaded from the RPC cache
+ * (see rpc-cache.js) hold plain strings.
+ * @param {import('@solana/web3.js').PublicKey|string} key - Address
+ * @returns {string} Base58 address
+ */
+function addressOf(key) {
+  return typeof key === 'string' ? key : key.toBase58();
+}
+
+/**
+ * List every instruction in a parsed transaction, including inner ones
+ * @param {import('@solana/web3.js').ParsedTransactionWithMeta} tx - Parsed transaction
+ * @returns {Array<object>} Instructions
+ */
+function allInstructions(tx) {
+  const inner = (tx.meta?.innerInstructions || []).flatMap(group => group.instructions);
+  return [...tx.transaction.message.instructions, ...inner];
+}
+
+/**
+ * Check whether an instruction deploys or upgrades a program
+ * @param {object} instruction - Parsed or partially decoded instruction
+ * @returns {boolean} True for a deploy or upgrade
+ */
+function isDeployInstruction(instruction) {
+  if (addressOf(instruction.programId) !== BPF_LOADER_UPGRADEABLE) return false;
+  if (instruction.parsed) {
+    return DEPLOY_INSTRUCTION_TYPES.includes(instruction.parsed.type);
+  }
+  // Not parsed by the RPC: the instruction index is the first 4 bytes (u32 LE)
+  const data = Buffer.from(bs58.decode(instruction.data || ''));
+  return data.length >= 4 && DEPLOY_INSTRUCTION_INDEXES.includes(data.readUInt32LE(0));
+}
+
+/**
+ * Check whether a wallet signed a transaction
+ * @param {import('@solana/web3.js').ParsedTransactionWithMeta} tx - Parsed transaction
+ * @param {string} walletAddress - Wallet address
+ * @returns {boolean} True if the wallet is a signer
+ */
+export function isSignedBy(tx, walletAddress) {
+  return tx.transaction.message.accountKeys
+    .some(key => key.signer && addressOf(key.pubkey) === walletAddress);
+}
+
+/**
+ * Check whether a wallet deployed or upgraded a program in a transaction
+ * @param {import('@solana/web3.js').ParsedTransactionWithMeta} tx - Parsed transaction
+ * @param {string} walletAddress - Wallet address
+ * @returns {boolean} True for a successful deploy or upgrade signed by the wallet
+ */
+export function isDeployTransaction(tx, walletAddress) {
+  return !tx.meta?.err && isSignedBy(tx, walletAddress) && allInstructions(tx).some(isDeployInstruction);
+}
+
+/**
+ * Builder rules by name
+ * Each rule says how many matching transactions it needs (`needed`), and
+ * whether a transaction counts (`matches`). Rules marked `signedOnly` only
+ * see successful transactions the wallet signed.
+ */
+const BUILDER_RULES = {
+  'deployed-program': {
+    description: 'deployed or upgraded a program',
+    signedOnly: true,
+    needed: () => 1,
+    matches: (tx) => allInstructions(tx).some(isDeployInstruction)
+  },
+  'used-programs': {
+    description: 'called a listed program (BUILDER_PROGRAM_IDS)',
+    signedOnly: true,
+    needed: () => 1,
+    matches: (tx, { programIds }) => allInstructions(tx).some(ix => programIds.includes(addressOf(ix.programId)))
+  },
+  'signed-transactions': {
+    description: 'signed enough successful transactions (BUILDER_MIN_TRANSACTIONS)',
+    signedOnly: true,
+    needed: ({ minTransactions }) => minTransactions,
+    matches: () => true
+  },
+  'any-transaction': {
+    description: 'any transaction, even one it only received',
+    signedOnly: false,
+    needed: () => 1,
+    matches: () => true
+  }
+};
+
+/**
+ * Evaluate a wallet's in-range transactions against the builder rules
+ * Transactions are fetched newest first, in batches, only until every
+ * rule has all the evidence it needs.
+ * @param {import('@solana/web3.js').Connection} connection - Solana connection
+ * @param {string} walletAddress - Wallet being checked
+ * @param {Array<import('@solana/web3.js').ConfirmedSignatureInfo>} signatures - In-range signatures, newest first
+ * @param {object} ruleConfig - Rule settings
+ * @param {Array<string>} ruleConfig.rules - Rule names (BUILDER_RULES)
+ * @param {Array<string>} ruleConfig.programIds - Program IDs for used-programs
+ * @param {number} ruleConfig.minTransactions - Count for signed-transactions
+ * @returns {Promise<{isBuilder: boolean, matchedRules: Array<{rule: string, evidence: Array<string>}>}>}
+ *   Verdict, with each matched rule and its evidence signatures
+ */
+export async function evaluateBuilderRules(connection, walletAddress, signatures, ruleConfig) {
+  const rules = ruleConfig.rules.map(name => {
+    const rule = BUILDER_RULES[name];
+    if (!rule) throw new Error(`Unknown builder rule: ${name}`);
+    return { name, ...rule, needed: rule.needed(ruleConfig), evidence: [] };
+  });
+  const isDone = () => rules.every(rule => rule.evidence.length >= rule.needed);
+
+  // Rules that don't look inside transactions are settled from the signatures
+  for (const rule of rules.filter(r => !r.signedOnly)) {
+    rule.evidence = signatures.slice(0, rule.needed).map(sig => sig.signature);
+  }
+
+  const successful = signatures.filter(sig => !sig.err);
+  for (let i = 0; i < successful.length && !isDone(); i += FETCH_BATCH_SIZE) {
+    const batch = successful.slice(i, i + FETCH_BATCH_SIZE);
+    const transactions = await connection.getParsedTransactions(
+      batch.map(sig => sig.signature),
+      { maxSupportedTransactionVersion: 0 }
+    );
+
+    transactions.forEach((tx, j) => {
+      if (!tx || tx.meta?.err || !isSignedBy(tx, walletAddress)) return;
+
+      for (const rule of rules.filter(r => r.signedOnly && r.evidence.length < r.needed)) {
+        if (rule.matches(tx, ruleConfig)) {
+          rule.evidence.push(batch[j].signature);
+        }
+      }
+    });
+  }
+
+  const matchedRules = rules
+    .filter(rule => rule.evidence.length > 0 && rule.evidence.length >= rule.needed)
+    .map(rule => ({ rule: rule.name, evidence: rule.evidence }));
+
+  return { isBuilder: matchedRules.length > 0, matchedRules };
+}
+
+/**
+ * Describe the configured rules for display
+ * @param {Array<string>} names - Rule names (BUILDER_RULES)
+ * @returns {Array<string>} One line per rule
+ */
+export function describeBuilderRules(names) {
+  return names.map(name => `${name}: ${BUILDER_RULES[name]?.description || 'unknown rule'}`);
+}
+
+export { BUILDER_RULES, BPF_LOADER_UPGRADEABLE, FETCH_BATCH_SIZE };
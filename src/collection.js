@@ -0,0 +1,87 @@
+import { generateSigner, percentAmount } from '@metaplex-foundation/umi';
+import { createNft } from '@metaplex-foundation/mpl-token-metadata';
+import { loadConfig, saveConfig } from './utils.js';
+import { getTiers } from './event.js';
+import { withComputeBudget } from './fees.js';
+import { sendAndConfirm } from './send.js';
+
+/**
+ * Create a collection NFT that POAPs can be verified against
+ * @param {import('@metaplex-foundation/umi').Umi} umi - Umi instance
+ * @param {object} metadata - Collection metadata (name, symbol, uri)
+ * @param {object} options - Creation options
+ * @param {object} options.computeBudget - Priority fee to pay (see fees.js)
+ * @returns {Promise<{address: string, signature: string}>} Collection mint and tx signature
+ */
+export async function createCollection(umi, { name, symbol, uri }, options = {}) {
+  const collectionMint = generateSigner(umi);
+
+  const builder = createNft(umi, {
+    mint: collectionMint,
+    name,
+    symbol,
+    uri,
+    sellerFeeBasisPoints: percentAmount(0),
+    isCollection: true
+  });
+
+  // Collection creation keeps the runtime's default compute limit; only the
+  // priority fee applies
+  const budget = options.computeBudget ? { ...options.computeBudget, unitsPerInstruction: 0 } : null;
+  const signature = await sendAndConfirm(umi, withComputeBudget(umi, builder, budget));
+
+  return {
+    address: collectionMint.publicKey.toString(),
+    signature
+  };
+}
+
+/**
+ * Create collection NFTs for every tier in the event
+ * Tiers that already have a collection in data/config.json are left alone.
+ * @param {import('@metaplex-foundation/umi').Umi} umi - Umi instance
+ * @param {Array<object>} tiers - Tiers to create collections for (default: all tiers in EVENT_FILE)
+ * @param {object} options - Creation options
+ * @param {object} options.computeBudget - Priority fee to pay (see fees.js)
+ * @returns {Promise<object>} Updated config with collection mints
+ */
+export async function createTierCollections(umi, tiers = getTiers(), options = {}) {
+  const config = loadConfig();
+
+  if (!config) {
+    throw new Error('Config not found. Run upload-assets first.');
+  }
+
+  const updatedConfig = { ...config };
+
+  for (const tier of tiers) {
+    const tierConfig = config[tier.key] || {};
+
+    if (tierConfig.collectionMint) {
+      console.log(`\n📚 ${tier.label} collection exists: ${tierConfig.collectionMint}`);
+      continue;
+    }
+
+    if (!tierConfig.metadataUri) {
+      throw new Error(`Missing ${tier.key}.metadataUri. Run upload-assets first.`);
+    }
+
+    console.log(`\n📚 Creating ${tier.label} collection...`);
+    const collection = await createCollection(umi, {
+      name: tier.metadata.name,
+      symbol: tier.metadata.symbol,
+      uri: tierConfig.metadataUri
+    }, options);
+    console.log(`   ✅ Mint: ${collection.address}`);
+
+    updatedConfig[tier.key] = {
+      ...tierConfig,
+      collectionMint: collection.address
+    };
+
+    // Save after each tier so a failure doesn't orphan a paid-for collection
+    saveConfig(updatedConfig);
+  }
+
+  return updatedConfig;
+}
@@ -1,5 +1,7 @@
 import 'dotenv/config';
 import bs58 from 'bs58';
+import path from 'path';
+import { DATA_DIR, PROJECT_ROOT, isValidSolanaAddress } from './utils.js';
 
 /**
  * Configuration loader and validator
@@ -7,16 +9,41 @@ import bs58 from 'bs58';
 
 const VALID_NETWORKS = ['devnet', 'mainnet-beta'];
 
+const VALID_HOLDINGS_CHECKS = ['das', 'local', 'off'];
+
+const VALID_METADATA_FIELDS = ['name', 'campus', 'daysAttended', 'serial'];
+
+const VALID_STORAGE_BACKENDS = ['irys', 'ipfs', 'local'];
+
+const VALID_BUILDER_RULES = ['deployed-program', 'used-programs', 'signed-transactions', 'any-transaction'];
+
+const DEFAULT_BUILDER_RULES = ['deployed-program', 'signed-transactions'];
+
+// One signed transaction can be a plain SOL transfer; building on devnet
+// (deploys, test calls, account setup) takes many more
+const DEFAULT_BUILDER_MIN_TRANSACTIONS = 10;
+
 const DEFAULT_RPC_URLS = {
   'devnet': 'https://api.devnet.solana.com',
   'mainnet-beta': 'https://api.mainnet-beta.solana.com'
 };
 
+const DEFAULT_EVENT_FILE = 'events/campus-tour-2026.json';
+
 const IRYS_URLS = {
   'devnet': 'https://devnet.irys.xyz',
   'mainnet-beta': 'https://node1.irys.xyz'
 };
 
+/**
+ * Split a comma-separated setting into trimmed, non-empty values
+ * @param {string|undefined} value - Raw setting
+ * @returns {Array<string>} Values
+ */
+function parseList(value) {
+  return (value || '').split(',').map(v => v.trim()).filter(Boolean);
+}
+
 /**
  * Validate that all required configuration is present and valid
  */
@@ -58,6 +85,107 @@ export function validateConfig() {
     errors.push('TOUR_END_DATE is not a valid date (use ISO format: YYYY-MM-DD)');
   }
 
+  const verifyMaxPages = process.env.VERIFY_MAX_PAGES;
+  if (verifyMaxPages && !(Number.isInteger(Number(verifyMaxPages)) && Number(verifyMaxPages) >= 1)) {
+    errors.push('VERIFY_MAX_PAGES must be a whole number of 1 or more');
+  }
+
+  const verifyConcurrency = process.env.VERIFY_CONCURRENCY;
+  if (verifyConcurrency && !(Number.isInteger(Number(verifyConcurrency)) && Number(verifyConcurrency) >= 1)) {
+    errors.push('VERIFY_CONCURRENCY must be a whole number of 1 or more');
+  }
+
+  const verifyRateLimit = process.env.VERIFY_RATE_LIMIT;
+  if (verifyRateLimit && !(Number(verifyRateLimit) >= 0)) {
+    errors.push('VERIFY_RATE_LIMIT must be a number of requests per second (0 disables the limit)');
+  }
+
+  // Validate builder rules if provided
+  const builderRules = parseList(process.env.BUILDER_RULES);
+  const unknownRules = builderRules.filter(rule => !VALID_BUILDER_RULES.includes(rule));
+  if (unknownRules.length > 0) {
+    errors.push(`BUILDER_RULES must be from: ${VALID_BUILDER_RULES.join(', ')} (got ${unknownRules.join(', ')})`);
+  }
+
+  const programIds = parseList(process.env.BUILDER_PROGRAM_IDS);
+  if (builderRules.includes('used-programs') && programIds.length === 0) {
+    errors.push('BUILDER_PROGRAM_IDS is required when BUILDER_RULES includes used-programs');
+  }
+  const invalidProgramIds = programIds.filter(id => !isValidSolanaAddress(id));
+  if (invalidProgramIds.length > 0) {
+    errors.push(`BUILDER_PROGRAM_IDS has invalid addresses: ${invalidProgramIds.join(', ')}`);
+  }
+
+  const minTransactions = process.env.BUILDER_MIN_TRANSACTIONS;
+  if (minTransactions && !(Number.isInteger(Number(minTransactions)) && Number(minTransactions) >= 1)) {
+    errors.push('BUILDER_MIN_TRANSACTIONS must be a whole number of 1 or more');
+  }
+
+  // Validate minting throughput settings if provided
+  const concurrency = process.env.MINT_CONCURRENCY;
+  if (concurrency && !(Number.isInteger(Number(concurrency)) && Number(concurrency) >= 1)) {
+    errors.push('MINT_CONCURRENCY must be a whole number of 1 or more');
+  }
+
+  const batchSize = process.env.MINT_BATCH_SIZE;
+  if (batchSize && !(Number.isInteger(Number(batchSize)) && Number(batchSize) >= 1)) {
+    errors.push('MINT_BATCH_SIZE must be a whole number of 1 or more');
+  }
+
+  const rateLimit = process.env.RPC_RATE_LIMIT;
+  if (rateLimit && !(Number(rateLimit) >= 0)) {
+    errors.push('RPC_RATE_LIMIT must be a number of requests per second (0 disables the limit)');
+  }
+
+  // Validate compute budget settings if provided
+  const computeUnitLimit = process.env.COMPUTE_UNIT_LIMIT;
+  if (computeUnitLimit && !(Number.isInteger(Number(computeUnitLimit)) && Number(computeUnitLimit) >= 0 && Number(computeUnitLimit) <= 1400000)) {
+    errors.push('COMPUTE_UNIT_LIMIT must be a whole number of compute units between 0 and 1,400,000');
+  }
+
+  const priorityFee = process.env.PRIORITY_FEE;
+  if (priorityFee && !(Number.isInteger(Number(priorityFee)) && Number(priorityFee) >= 0)) {
+    errors.push('PRIORITY_FEE must be a whole number of micro-lamports per compute unit');
+  }
+
+  const priorityFeePercentile = process.env.PRIORITY_FEE_PERCENTILE;
+  if (priorityFeePercentile && !(Number(priorityFeePercentile) >= 1 && Number(priorityFeePercentile) <= 100)) {
+    errors.push('PRIORITY_FEE_PERCENTILE must be a number from 1 to 100');
+  }
+
+  // Validate holdings check mode if provided
+  const holdingsCheck = process.env.HOLDINGS_CHECK;
+  if (holdingsCheck && !VALID_HOLDINGS_CHECKS.includes(holdingsCheck)) {
+    errors.push(`HOLDINGS_CHECK must be one of: ${VALID_HOLDINGS_CHECKS.join(', ')}`);
+  }
+
+  // Validate personalized metadata fields if provided
+  const metadataFields = parseList(process.env.PERSONALIZED_METADATA);
+  const unknownFields = metadataFields.filter(field => !VALID_METADATA_FIELDS.includes(field));
+  if (unknownFields.length > 0) {
+    errors.push(`PERSONALIZED_METADATA fields must be from: ${VALID_METADATA_FIELDS.join(', ')} (got ${unknownFields.join(', ')})`);
+  }
+
+  // Validate storage backend settings if provided
+  const storageBackend = process.env.STORAGE_BACKEND;
+  if (storageBackend && !VALID_STORAGE_BACKENDS.includes(storageBackend)) {
+    errors.push(`STORAGE_BACKEND must be one of: ${VALID_STORAGE_BACKENDS.join(', ')}`);
+  }
+
+  if (storageBackend === 'ipfs' && !process.env.IPFS_API_TOKEN) {
+    errors.push('IPFS_API_TOKEN is required when STORAGE_BACKEND is ipfs');
+  }
+
+  // Local URIs die with the serve-storage process, so real POAPs would lose their art
+  if (storageBackend === 'local' && network === 'mainnet-beta') {
+    errors.push('STORAGE_BACKEND=local is for testing only and cannot be used on mainnet-beta');
+  }
+
+  const localStorageUrl = process.env.LOCAL_STORAGE_URL;
+  if (localStorageUrl && !URL.canParse(localStorageUrl)) {
+    errors.push('LOCAL_STORAGE_URL must be a URL (e.g. http://localhost:8787)');
+  }
+
   if (errors.length > 0) {
     console.error('\n❌ Configuration errors:\n');
     errors.forEach(err => console.error(`   - ${err}`));
@@ -79,6 +207,28 @@ export function getConfig() {
     irysUrl: IRYS_URLS[network],
     tourStartDate: process.env.TOUR_START_DATE ? new Date(process.env.TOUR_START_DATE) : new Date('2025-01-01'),
     tourEndDate: process.env.TOUR_END_DATE ? new Date(process.env.TOUR_END_DATE) : new Date('2025-12-31'),
+    verifyMaxPages: process.env.VERIFY_MAX_PAGES ? Number(process.env.VERIFY_MAX_PAGES) : 10,
+    verifyConcurrency: process.env.VERIFY_CONCURRENCY ? Number(process.env.VERIFY_CONCURRENCY) : null,
+    verifyRateLimit: process.env.VERIFY_RATE_LIMIT ? Number(process.env.VERIFY_RATE_LIMIT) : null,
+    builderRules: process.env.BUILDER_RULES ? parseList(process.env.BUILDER_RULES) : DEFAULT_BUILDER_RULES,
+    builderProgramIds: parseList(process.env.BUILDER_PROGRAM_IDS),
+    builderMinTransactions: process.env.BUILDER_MIN_TRANSACTIONS ? Number(process.env.BUILDER_MIN_TRANSACTIONS) : DEFAULT_BUILDER_MIN_TRANSACTIONS,
+    mintConcurrency: process.env.MINT_CONCURRENCY ? Number(process.env.MINT_CONCURRENCY) : 1,
+    mintBatchSize: process.env.MINT_BATCH_SIZE ? Number(process.env.MINT_BATCH_SIZE) : 1,
+    rpcRateLimit: process.env.RPC_RATE_LIMIT ? Number(process.env.RPC_RATE_LIMIT) : 5,
+    computeUnitLimit: process.env.COMPUTE_UNIT_LIMIT ? Number(process.env.COMPUTE_UNIT_LIMIT) : 0,
+    priorityFee: process.env.PRIORITY_FEE ? Number(process.env.PRIORITY_FEE) : 0,
+    priorityFeePercentile: process.env.PRIORITY_FEE_PERCENTILE ? Number(process.env.PRIORITY_FEE_PERCENTILE) : null,
+    holdingsCheck: process.env.HOLDINGS_CHECK || 'off',
+    holdingsFile: process.env.HOLDINGS_FILE || path.join(DATA_DIR, 'holdings.json'),
+    personalizedMetadata: parseList(process.env.PERSONALIZED_METADATA),
+    eventFile: process.env.EVENT_FILE || DEFAULT_EVENT_FILE,
+    storageBackend: process.env.STORAGE_BACKEND || 'irys',
+    ipfsApiUrl: process.env.IPFS_API_URL || 'https://api.pinata.cloud',
+    ipfsApiToken: process.env.IPFS_API_TOKEN,
+    ipfsGatewayUrl: process.env.IPFS_GATEWAY_URL || 'https://gateway.pinata.cloud/ipfs',
+    localStorageDir: process.env.LOCAL_STORAGE_DIR || path.join(PROJECT_ROOT, 'storage'),
+    localStorageUrl: process.env.LOCAL_STORAGE_URL || 'http://localhost:8787',
   };
 }
 
@@ -89,6 +239,30 @@ export const config = {
   get irysUrl() { return getConfig().irysUrl; },
   get tourStartDate() { return getConfig().tourStartDate; },
   get tourEndDate() { return getConfig().tourEndDate; },
+  get verifyMaxPages() { return getConfig().verifyMaxPages; },
+  get verifyConcurrency() { return getConfig().verifyConcurrency; },
+  get verifyRateLimit() { return getConfig().verifyRateLimit; },
+  get builderRules() { return getConfig().builderRules; },
+  get builderProgramIds() { return getConfig().builderProgramIds; },
+  get builderMinTransactions() { return getConfig().builderMinTransactions; },
+  get mintConcurrency() { return getConfig().mintConcurrency; },
+  get mintBatchSize() { return getConfig().mintBatchSize; },
+  get rpcRateLimit() { return getConfig().rpcRateLimit; },
+  get computeUnitLimit() { return getConfig().computeUnitLimit; },
+  get priorityFee() { return getConfig().priorityFee; },
+  get priorityFeePercentile() { return getConfig().priorityFeePercentile; },
+  get holdingsCheck() { return getConfig().holdingsCheck; },
+  get holdingsFile() { return getConfig().holdingsFile; },
+  get personalizedMetadata() { return getConfig().personalizedMetadata; },
+  get eventFile() { return getConfig().eventFile; },
+  get storageBackend() { return getConfig().storageBackend; },
+  get ipfsApiUrl() { return getConfig().ipfsApiUrl; },
+  get ipfsApiToken() { return getConfig().ipfsApiToken; },
+  get ipfsGatewayUrl() { return getConfig().ipfsGatewayUrl; },
+  get localStorageDir() { return getConfig().localStorageDir; },
+  get localStorageUrl() { return getConfig().localStorageUrl; },
 };
 
+export { VALID_NETWORKS, DEFAULT_RPC_URLS, VALID_METADATA_FIELDS, VALID_STORAGE_BACKENDS, VALID_BUILDER_RULES, DEFAULT_EVENT_FILE };
+
 export default config;
@@ -6,6 +6,8 @@
 // Asset URLs
 const SSA_LOGO_URL = 'https://gateway.irys.xyz/6kCeNJbzAfJb9uhdd216nChnUTaM4kCEEUcJmhE5rezX';
 
+const DEFAULT_EVENT_NAME = 'SSA Campus Tour';
+
 // Social Links
 const SOCIAL_LINKS = {
   twitter: 'https://twitter.com/SolanaStudentAf',
@@ -14,21 +16,42 @@ const SOCIAL_LINKS = {
 };
 
 /**
- * Generate HTML email for Participation POAP
+ * Build the Solscan link for a recipient's POAP
+ * Links straight to the compressed asset when its ID is known,
+ * otherwise falls back to the recipient's account page.
+ */
+export function getPoapViewUrl({ wallet, assetId, network }) {
+  const cluster = network === 'devnet' ? '?cluster=devnet' : '';
+  return assetId
+    ? `https://solscan.io/token/${assetId}${cluster}`
+    : `https://solscan.io/account/${wallet}${cluster}`;
+}
+
+/**
+ * Generate HTML email for any POAP tier
+ * Used directly by tiers without a dedicated template; subject, badge and
+ * description come from the tier's email settings in the event file.
  */
-export function participationEmailTemplate({ name, wallet, network, poapImageUrl }) {
-  const solscanUrl = `https://solscan.io/account/${wallet}${network === 'devnet' ? '?cluster=devnet' : ''}`;
+export function tierEmailTemplate({
+  name, wallet, network, poapImageUrl, assetId,
+  eventName = DEFAULT_EVENT_NAME,
+  poapName = eventName,
+  subject = `🎉 You've received your ${poapName} POAP!`,
+  badge = '✓ Proof of Attendance',
+  description = `This POAP recognizes your part in the ${eventName}. It's now stored in your Solana wallet as a compressed NFT.`
+}) {
+  const solscanUrl = getPoapViewUrl({ wallet, assetId, network });
   const displayName = name || 'Participant';
 
   return {
-    subject: "🎉 You've received your SSA Campus Tour POAP!",
+    subject,
     html: `
 <!DOCTYPE html>
 <html>
 <head>
   <meta charset="utf-8">
   <meta name="viewport" content="width=device-width, initial-scale=1.0">
-  <title>SSA Campus Tour POAP</title>
+  <title>${eventName} POAP</title>
 </head>
 <body style="margin: 0; padding: 0; font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, 'Helvetica Neue', Arial, sans-serif; background-color: #050505;">
 
@@ -47,25 +70,25 @@ export function participationEmailTemplate({ name, wallet, network, poapImageUrl
       <div style="text-align: center; margin-bottom: 36px;">
         <p style="color: #14F195; font-size: 13px; text-transform: uppercase; letter-spacing: 3px; margin: 0 0 12px 0; font-weight: 600;">Congratulations</p>
         <h1 style="color: #ffffff; margin: 0; font-size: 32px; font-weight: 700;">${displayName}</h1>
-        <p style="color: #777777; margin: 14px 0 0 0; font-size: 16px;">You've received a POAP from the SSA Campus Tour 2025</p>
+        <p style="color: #777777; margin: 14px 0 0 0; font-size: 16px;">You've received a POAP from the ${eventName}</p>
       </div>
 
       <!-- POAP Image Card - Glassmorphism Style -->
       <div style="text-align: center; margin-bottom: 36px;">
         <div style="background: linear-gradient(145deg, rgba(153, 69, 255, 0.2) 0%, rgba(20, 241, 149, 0.2) 100%); border: 1px solid rgba(153, 69, 255, 0.3); border-radius: 20px; padding: 20px; display: inline-block; box-shadow: 0 8px 32px rgba(153, 69, 255, 0.25), 0 0 80px rgba(20, 241, 149, 0.1);">
-          <img src="${poapImageUrl}" alt="SSA Campus Tour Participant POAP" width="260" style="max-width: 260px; height: auto; border-radius: 12px; display: block; box-shadow: 0 4px 20px rgba(0, 0, 0, 0.5);" />
+          <img src="${poapImageUrl}" alt="${poapName} POAP" width="260" style="max-width: 260px; height: auto; border-radius: 12px; display: block; box-shadow: 0 4px 20px rgba(0, 0, 0, 0.5);" />
         </div>
       </div>
 
       <!-- POAP Title -->
       <div style="text-align: center; margin-bottom: 32px;">
-        <h2 style="color: #ffffff; margin: 0 0 12px 0; font-size: 24px; font-weight: 700;">SSA Campus Tour Participant 2025</h2>
-        <span style="display: inline-block; background: linear-gradient(135deg, rgba(20, 241, 149, 0.2) 0%, rgba(20, 241, 149, 0.1) 100%); border: 1px solid rgba(20, 241, 149, 0.4); color: #14F195; padding: 8px 20px; border-radius: 25px; font-size: 13px; font-weight: 600; letter-spacing: 0.5px;">✓ Proof of Attendance</span>
+        <h2 style="color: #ffffff; margin: 0 0 12px 0; font-size: 24px; font-weight: 700;">${poapName}</h2>
+        <span style="display: inline-block; background: linear-gradient(135deg, rgba(20, 241, 149, 0.2) 0%, rgba(20, 241, 149, 0.1) 100%); border: 1px solid rgba(20, 241, 149, 0.4); color: #14F195; padding: 8px 20px; border-radius: 25px; font-size: 13px; font-weight: 600; letter-spacing: 0.5px;">${badge}</span>
       </div>
 
       <!-- Description -->
       <p style="color: #bbbbbb; font-size: 16px; line-height: 1.8; text-align: center; margin: 0 0 36px 0;">
-        This POAP recognizes your attendance at the Solana Students Africa Campus Tour 2025. It's now stored in your Solana wallet as a compressed NFT — your permanent proof of participation.
+        ${description}
       </p>
 
       <!-- CTA Button -->
@@ -113,7 +136,7 @@ export function participationEmailTemplate({ name, wallet, network, poapImageUrl
 
       <!-- Copyright -->
       <p style="color: #444444; font-size: 12px; margin: 0;">
-        © 2025 Solana Students Africa. All rights reserved.
+        © ${new Date().getFullYear()} Solana Students Africa. All rights reserved.
       </p>
 
     </div>
@@ -126,11 +149,27 @@ export function participationEmailTemplate({ name, wallet, network, poapImageUrl
   };
 }
 
+/**
+ * Generate HTML email for Participation POAP
+ */
+export function participationEmailTemplate({ eventName = DEFAULT_EVENT_NAME, ...params }) {
+  return tierEmailTemplate({
+    eventName,
+    subject: `🎉 You've received your ${eventName} POAP!`,
+    description: `This POAP recognizes your attendance at the ${eventName}. It's now stored in your Solana wallet as a compressed NFT — your permanent proof of participation.`,
+    ...params
+  });
+}
+
 /**
  * Generate HTML email for Builder POAP
  */
-export function builderEmailTemplate({ name, wallet, network, transactionCount, poapImageUrl }) {
-  const solscanUrl = `https://solscan.io/account/${wallet}${network === 'devnet' ? '?cluster=devnet' : ''}`;
+export function builderEmailTemplate({
+  name, wallet, network, transactionCount, poapImageUrl, assetId,
+  eventName = DEFAULT_EVENT_NAME,
+  poapName = `${eventName} Builder`
+}) {
+  const solscanUrl = getPoapViewUrl({ wallet, assetId, network });
   const displayName = name || 'Builder';
   const txCount = transactionCount || 'Multiple';
 
@@ -172,13 +211,13 @@ export function builderEmailTemplate({ name, wallet, network, transactionCount,
       <!-- POAP Image Card - Premium Gold Glass Style -->
       <div style="text-align: center; margin-bottom: 36px;">
         <div style="background: linear-gradient(145deg, rgba(255, 107, 0, 0.15) 0%, rgba(255, 215, 0, 0.15) 100%); border: 2px solid rgba(255, 215, 0, 0.4); border-radius: 20px; padding: 20px; display: inline-block; box-shadow: 0 8px 32px rgba(255, 107, 0, 0.3), 0 0 80px rgba(255, 215, 0, 0.15);">
-          <img src="${poapImageUrl}" alt="SSA Campus Tour Builder POAP" width="260" style="max-width: 260px; height: auto; border-radius: 12px; display: block; box-shadow: 0 4px 20px rgba(0, 0, 0, 0.5);" />
+          <img src="${poapImageUrl}" alt="${poapName} POAP" width="260" style="max-width: 260px; height: auto; border-radius: 12px; display: block; box-shadow: 0 4px 20px rgba(0, 0, 0, 0.5);" />
         </div>
       </div>
 
       <!-- POAP Title -->
       <div style="text-align: center; margin-bottom: 28px;">
-        <h2 style="color: #ffffff; margin: 0 0 12px 0; font-size: 24px; font-weight: 700;">SSA Campus Tour Builder 2025</h2>
+        <h2 style="color: #ffffff; margin: 0 0 12px 0; font-size: 24px; font-weight: 700;">${poapName}</h2>
         <span style="display: inline-block; background: linear-gradient(135deg, rgba(255, 215, 0, 0.2) 0%, rgba(255, 215, 0, 0.1) 100%); border: 1px solid rgba(255, 215, 0, 0.5); color: #FFD700; padding: 8px 20px; border-radius: 25px; font-size: 13px; font-weight: 600; letter-spacing: 0.5px;">⭐ Verified Builder</span>
       </div>
 
@@ -190,7 +229,7 @@ export function builderEmailTemplate({ name, wallet, network, transactionCount,
 
       <!-- Description -->
       <p style="color: #bbbbbb; font-size: 16px; line-height: 1.8; text-align: center; margin: 0 0 28px 0;">
-        This POAP verifies that you didn't just attend — you <strong style="color: #ffffff;">shipped</strong>. Your on-chain activity during the SSA Campus Tour 2025 has been verified, and you've earned exclusive access to builder benefits.
+        This POAP verifies that you didn't just attend — you <strong style="color: #ffffff;">shipped</strong>. Your on-chain activity during the ${eventName} has been verified, and you've earned exclusive access to builder benefits.
       </p>
 
       <!-- Benefits Box - Glass Card -->
@@ -251,7 +290,7 @@ export function builderEmailTemplate({ name, wallet, network, transactionCount,
 
       <!-- Copyright -->
       <p style="color: #444444; font-size: 12px; margin: 0;">
-        © 2025 Solana Students Africa. All rights reserved.
+        © ${new Date().getFullYear()} Solana Students Africa. All rights reserved.
       </p>
 
     </div>
@@ -264,5 +303,31 @@ export function builderEmailTemplate({ name, wallet, network, transactionCount,
   };
 }
 
-export { SSA_LOGO_URL, SOCIAL_LINKS };
-export default { participationEmailTemplate, builderEmailTemplate };
+/**
+ * Templates a tier can name in its email.template setting
+ */
+const EMAIL_TEMPLATES = {
+  participation: participationEmailTemplate,
+  builder: builderEmailTemplate,
+  default: tierEmailTemplate
+};
+
+/**
+ * Render a tier's email for one recipient
+ * @param {object} tier - Tier from the event definition (see event.js)
+ * @param {object} event - Event definition
+ * @param {object} recipient - Recipient fields (name, wallet, network, poapImageUrl, assetId, transactionCount)
+ * @returns {{subject: string, html: string}} Email content
+ */
+export function renderTierEmail(tier, event, recipient) {
+  const { template = 'default', ...overrides } = tier.email || {};
+  return EMAIL_TEMPLATES[template]({
+    eventName: event.name,
+    poapName: tier.metadata.name,
+    ...overrides,
+    ...recipient
+  });
+}
+
+export { SSA_LOGO_URL, SOCIAL_LINKS, EMAIL_TEMPLATES };
+export default { participationEmailTemplate, builderEmailTemplate, tierEmailTemplate, renderTierEmail, getPoapViewUrl };
@@ -0,0 +1,156 @@
+/**
+ * Event definitions
+ *
+ * An event file (events/*.json, chosen with EVENT_FILE) declares the POAP
+ * tiers for one tour: each tier's metadata, image (and optional animation),
+ * eligibility list and email template. Upload, tree creation, collections, minting and emails
+ * all loop over the declared tiers, so a new tier (e.g. Speaker) only needs
+ * an entry in the event file, an image in assets/ and a recipients file.
+ *
+ * A tier's key is also its section in data/config.json; its slug (default:
+ * the key) names its journal and results files.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { getConfig } from './config.js';
+import { EMAIL_TEMPLATES } from './email-templates.js';
+import { MAX_NAME_BYTES, MAX_SYMBOL_BYTES } from './metadata-schema.js';
+import { loadJson, PROJECT_ROOT } from './utils.js';
+
+// Top-level data/config.json fields a tier key would overwrite
+const RESERVED_TIER_KEYS = ['network', 'createdAt', 'updatedAt', 'lookupTables'];
+
+// Keys and slugs become config sections, file names and CLI flags
+const TIER_NAME_PATTERN = /^[a-z][a-z0-9-]*$/;
+
+/**
+ * Check an event definition for mistakes
+ * @param {object} event - Parsed event file
+ * @returns {Array<string>} Error messages (empty if valid)
+ */
+export function validateEvent(event) {
+  const errors = [];
+
+  if (!event.name) {
+    errors.push('name is required');
+  }
+  if (!Array.isArray(event.tiers) || event.tiers.length === 0) {
+    errors.push('tiers must list at least one tier');
+    return errors;
+  }
+
+  const seen = new Set();
+  const seenSlugs = new Set();
+  event.tiers.forEach((tier, i) => {
+    const where = `tiers[${i}]${tier.key ? ` (${tier.key})` : ''}`;
+
+    if (!TIER_NAME_PATTERN.test(tier.key || '')) {
+      errors.push(`${where}: key must be lowercase letters, digits and dashes`);
+    } else if (RESERVED_TIER_KEYS.includes(tier.key)) {
+      errors.push(`${where}: key "${tier.key}" is reserved`);
+    } else if (seen.has(tier.key)) {
+      errors.push(`${where}: key is used by another tier`);
+    }
+    seen.add(tier.key);
+
+    // The slug names the tier's journal and results files, so two tiers can't share one
+    const slug = tier.slug ?? tier.key;
+    if (tier.slug !== undefined && !TIER_NAME_PATTERN.test(tier.slug || '')) {
+      errors.push(`${where}: slug must be lowercase letters, digits and dashes`);
+    } else if (slug && seenSlugs.has(slug)) {
+      errors.push(`${where}: slug "${slug}" is used by another tier`);
+    }
+    seenSlugs.add(slug);
+
+    if (!tier.image) {
+      errors.push(`${where}: image is required (a file in assets/)`);
+    }
+    if (tier.animation !== undefined && typeof tier.animation !== 'string') {
+      errors.push(`${where}: animation must be a file name in assets/`);
+    }
+    if (!tier.eligibility?.file) {
+      errors.push(`${where}: eligibility.file is required`);
+    }
+
+    const metadata = tier.metadata || {};
+    if (!metadata.name || Buffer.byteLength(metadata.name) > MAX_NAME_BYTES) {
+      errors.push(`${where}: metadata.name is required (max ${MAX_NAME_BYTES} bytes)`);
+    }
+    if (!metadata.symbol || Buffer.byteLength(metadata.symbol) > MAX_SYMBOL_BYTES) {
+      errors.push(`${where}: metadata.symbol is required (max ${MAX_SYMBOL_BYTES} bytes)`);
+    }
+
+    const template = tier.email?.template;
+    if (template && !EMAIL_TEMPLATES[template]) {
+      errors.push(`${where}: email.template must be one of: ${Object.keys(EMAIL_TEMPLATES).join(', ')}`);
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Load the event definition (EVENT_FILE)
+ * Tiers come back with defaults filled in and the event's shared attributes
+ * appended to each tier's metadata.
+ * @param {string} eventFile - Event file path (default: EVENT_FILE)
+ * @returns {object} Event with normalized tiers
+ */
+export function loadEvent(eventFile = getConfig().eventFile) {
+  const filepath = path.resolve(PROJECT_ROOT, eventFile);
+  if (!fs.existsSync(filepath)) {
+    throw new Error(`Event file not found: ${filepath}`);
+  }
+
+  const event = loadJson(filepath);
+  const errors = validateEvent(event);
+  if (errors.length > 0) {
+    throw new Error(`Invalid event file ${eventFile}:\n   - ${errors.join('\n   - ')}`);
+  }
+
+  return {
+    ...event,
+    file: filepath,
+    tiers: event.tiers.map(tier => ({
+      label: tier.key.charAt(0).toUpperCase() + tier.key.slice(1),
+      emoji: '🎖️',
+      slug: tier.key,
+      ...tier,
+      email: { template: 'default', ...tier.email },
+      metadata: {
+        description: '',
+        ...tier.metadata,
+        attributes: [...(tier.metadata.attributes || []), ...(event.attributes || [])]
+      }
+    }))
+  };
+}
+
+/**
+ * Get the tiers declared by the event
+ * @param {string} eventFile - Event file path (default: EVENT_FILE)
+ * @returns {Array<object>} Tiers, in the order they are declared
+ */
+export function getTiers(eventFile) {
+  return loadEvent(eventFile).tiers;
+}
+
+/**
+ * Load a tier's eligible recipients from its eligibility file
+ * The file holds either an array, or an object with the list under
+ * eligibility.list (e.g. {"participants": [...]}).
+ * @param {object} tier - Tier from the event
+ * @returns {Array<object>} Recipients
+ */
+export function loadTierRecipients(tier) {
+  const filepath = path.resolve(PROJECT_ROOT, tier.eligibility.file);
+  if (!fs.existsSync(filepath)) {
+    throw new Error(`${tier.label} recipients file not found: ${filepath}`);
+  }
+
+  const data = loadJson(filepath);
+  return Array.isArray(data) ? data : (data[tier.eligibility.list] || []);
+}
+
+export { RESERVED_TIER_KEYS };
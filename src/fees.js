@@ -0,0 +1,117 @@
+/**
+ * Compute budget and priority fees
+ *
+ * Transactions pay a base fee per signature plus an optional priority fee of
+ * (compute-unit price x compute-unit limit). On a congested cluster, a
+ * priority fee is what gets mints included before their blockhash expires.
+ *
+ * The price is either fixed (PRIORITY_FEE, in micro-lamports per compute
+ * unit) or read from getRecentPrioritizationFees at a chosen percentile
+ * (PRIORITY_FEE_PERCENTILE).
+ */
+
+import { setComputeUnitLimit, setComputeUnitPrice } from '@metaplex-foundation/mpl-toolbox';
+
+const BASE_FEE_LAMPORTS = 5000;
+const DEFAULT_UNITS_PER_INSTRUCTION = 200000;
+const MAX_COMPUTE_UNIT_LIMIT = 1400000;
+
+/**
+ * Read a percentile of recently paid priority fees
+ * @param {import('@metaplex-foundation/umi').Umi} umi - Umi instance
+ * @param {number} percentile - Percentile to pick (1-100)
+ * @param {Array<string>} accounts - Writable accounts the transactions will lock (e.g. the tree)
+ * @returns {Promise<number>} Compute-unit price in micro-lamports
+ */
+export async function getRecentPriorityFee(umi, percentile, accounts = []) {
+  const recent = await umi.rpc.call('getRecentPrioritizationFees', [accounts.map(a => a.toString())]);
+  const fees = recent.map(f => f.prioritizationFee).sort((a, b) => a - b);
+
+  if (fees.length === 0) {
+    return 0;
+  }
+
+  const index = Math.ceil((percentile / 100) * fees.length) - 1;
+  return fees[Math.min(fees.length - 1, Math.max(0, index))];
+}
+
+/**
+ * Work out the compute budget for a run
+ * A failed percentile lookup falls back to the fixed price rather than
+ * stopping the run.
+ * @param {import('@metaplex-foundation/umi').Umi} umi - Umi instance
+ * @param {object} config - Environment config (computeUnitLimit, priorityFee, priorityFeePercentile)
+ * @param {Array<string>} accounts - Writable accounts the transactions will lock
+ * @returns {Promise<{unitsPerInstruction: number, microLamports: number, source: string}>} Compute budget
+ */
+export async function resolveComputeBudget(umi, config, accounts = []) {
+  const budget = {
+    unitsPerInstruction: config.computeUnitLimit || 0,
+    microLamports: config.priorityFee || 0,
+    source: 'fixed'
+  };
+
+  if (config.priorityFeePercentile) {
+    try {
+      budget.microLamports = await getRecentPriorityFee(umi, config.priorityFeePercentile, accounts);
+      budget.source = `p${config.priorityFeePercentile} of recent fees`;
+    } catch (error) {
+      budget.source = `fixed (recent fees unavailable: ${error.message})`;
+    }
+  }
+
+  return budget;
+}
+
+/**
+ * Get the compute-unit limit a transaction runs with
+ * Without an explicit limit, the runtime allows 200,000 units per instruction.
+ * @param {object} budget - Compute budget (see resolveComputeBudget)
+ * @param {number} instructionCount - Instructions in the transaction, excluding compute budget ones
+ * @returns {number} Compute-unit limit
+ */
+export function getComputeUnitLimit(budget, instructionCount = 1) {
+  const perInstruction = budget?.unitsPerInstruction || DEFAULT_UNITS_PER_INSTRUCTION;
+  return Math.min(MAX_COMPUTE_UNIT_LIMIT, perInstruction * instructionCount);
+}
+
+/**
+ * Prepend compute budget instructions to a transaction
+ * @param {import('@metaplex-foundation/umi').Umi} umi - Umi instance
+ * @param {import('@metaplex-foundation/umi').TransactionBuilder} builder - Transaction to send
+ * @param {object|null} budget - Compute budget (see resolveComputeBudget), or null for defaults
+ * @param {number} instructionCount - Instructions the limit should cover
+ * @returns {import('@metaplex-foundation/umi').TransactionBuilder} Transaction with compute budget
+ */
+export function withComputeBudget(umi, builder, budget, instructionCount = 1) {
+  if (!budget) {
+    return builder;
+  }
+
+  const prefix = [];
+  if (budget.unitsPerInstruction > 0) {
+    prefix.push(setComputeUnitLimit(umi, { units: getComputeUnitLimit(budget, instructionCount) }));
+  }
+  if (budget.microLamports > 0) {
+    prefix.push(setComputeUnitPrice(umi, { microLamports: budget.microLamports }));
+  }
+
+  return prefix.length > 0 ? builder.prepend(prefix) : builder;
+}
+
+/**
+ * Estimate the fees for a number of transactions
+ * @param {object|null} budget - Compute budget (see resolveComputeBudget)
+ * @param {number} transactions - Number of transactions
+ * @param {number} instructionsPerTransaction - Instructions per transaction, excluding compute budget ones
+ * @returns {{lamports: number, sol: number, priorityLamportsPerTx: number}} Estimated total fees
+ */
+export function estimateFees(budget, transactions, instructionsPerTransaction = 1) {
+  const microLamports = budget?.microLamports || 0;
+  const priorityLamportsPerTx = Math.ceil((microLamports * getComputeUnitLimit(budget, instructionsPerTransaction)) / 1000000);
+  const lamports = transactions * (BASE_FEE_LAMPORTS + priorityLamportsPerTx);
+
+  return { lamports, sol: lamports / 1e9, priorityLamportsPerTx };
+}
+
+export { BASE_FEE_LAMPORTS, MAX_COMPUTE_UNIT_LIMIT };
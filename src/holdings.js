@@ -0,0 +1,117 @@
+/**
+ * POAP holdings lookup
+ *
+ * Answers "does this wallet already hold this tier's POAP?" before a mint,
+ * so re-running a mint script is safe even without local results.
+ *
+ * Every lookup exposes the same shape:
+ *   findPoap(owner, { trees, collection, uri }) => Promise<{id, tree, leafIndex, collection, uri}|null>
+ *
+ * Trees are reused across tours, so a tree or collection match alone could
+ * be last tour's POAP. When `uri` is given, the asset's metadata URI must
+ * match it too.
+ *
+ * Implementations:
+ * - das:   getAssetsByOwner on a DAS-enabled RPC (Helius, Triton, ...)
+ * - local: a JSON file of owner -> assets, for offline testing
+ */
+
+import fs from 'fs';
+import { publicKey } from '@metaplex-foundation/umi';
+import { loadJson } from './utils.js';
+
+const DAS_PAGE_LIMIT = 1000;
+
+/**
+ * Check whether an asset belongs to the given tier
+ * @param {{id: string, tree?: string, collection?: string, uri?: string}} asset - Normalized asset
+ * @param {{trees?: string[], collection?: string, uri?: string}} filter - Tier filter
+ * @returns {boolean} True if the asset matches the tree list or collection, and the URI if given
+ */
+function matchesTier(asset, { trees = [], collection = null, uri = null }) {
+  if (uri && asset.uri !== uri) return false;
+  if (collection && asset.collection === collection) return true;
+  return Boolean(asset.tree) && trees.includes(asset.tree);
+}
+
+/**
+ * Create a lookup backed by the DAS read API
+ * Requires the Umi RPC to be decorated with the dasApi plugin (see umi.js).
+ * @param {import('@metaplex-foundation/umi').Umi} umi - Umi instance
+ * @returns {{name: string, findPoap: function}} Holdings lookup
+ */
+export function createDasHoldingsLookup(umi) {
+  return {
+    name: 'das',
+
+    async findPoap(owner, filter = {}) {
+      for (let page = 1; ; page++) {
+        const list = await umi.rpc.getAssetsByOwner({
+          owner: publicKey(owner),
+          page,
+          limit: DAS_PAGE_LIMIT
+        });
+
+        for (const item of list.items) {
+          if (item.burnt) continue;
+
+          const asset = {
+            id: item.id.toString(),
+            tree: item.compression?.compressed ? item.compression.tree.toString() : null,
+            leafIndex: item.compression?.compressed ? item.compression.leaf_id : null,
+            collection: item.grouping?.find(g => g.group_key === 'collection')?.group_value || null,
+            uri: item.content?.json_uri || null
+          };
+
+          if (matchesTier(asset, filter)) {
+            return asset;
+          }
+        }
+
+        if (list.items.length < DAS_PAGE_LIMIT) {
+          return null;
+        }
+      }
+    }
+  };
+}
+
+/**
+ * Create a lookup backed by a local JSON file
+ * File format: { "owners": { "<wallet>": [{ "id", "tree", "leafIndex", "collection", "uri" }] } }
+ * @param {string} filepath - Path to holdings JSON
+ * @returns {{name: string, findPoap: function}} Holdings lookup
+ */
+export function createLocalHoldingsLookup(filepath) {
+  if (!fs.existsSync(filepath)) {
+    throw new Error(`Holdings file not found: ${filepath}`);
+  }
+
+  const owners = loadJson(filepath).owners || {};
+
+  return {
+    name: 'local',
+
+    async findPoap(owner, filter = {}) {
+      const assets = owners[owner] || [];
+      return assets.find(asset => matchesTier(asset, filter)) || null;
+    }
+  };
+}
+
+/**
+ * Create the holdings lookup selected by configuration
+ * @param {import('@metaplex-foundation/umi').Umi} umi - Umi instance
+ * @param {{holdingsCheck: string, holdingsFile: string}} config - Environment config
+ * @returns {{name: string, findPoap: function}|null} Lookup, or null when checks are off
+ */
+export function createHoldingsLookup(umi, config) {
+  switch (config.holdingsCheck) {
+    case 'das':
+      return createDasHoldingsLookup(umi);
+    case 'local':
+      return createLocalHoldingsLookup(config.holdingsFile);
+    default:
+      return null;
+  }
+}
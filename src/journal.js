@@ -0,0 +1,194 @@
+/**
+ * Write-ahead mint journal
+ *
+ * Every recipient is appended to a JSONL file as it moves through
+ * pending -> sent -> confirmed (or failed). The signature is logged before
+ * the transaction is broadcast, so a crash at any point leaves enough on
+ * disk to tell whether a mint may have landed.
+ *
+ * Journals are kept per network and event, so a devnet rehearsal or an
+ * earlier tour never marks a recipient as already minted. Each entry also
+ * records its network, and entries from another network are ignored.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { getConfig } from './config.js';
+import { RESULTS_DIR } from './utils.js';
+import { extractMintedLeaf, extractMintedLeaves } from './leaf.js';
+import { getSignatureOutcome } from './send.js';
+
+const JOURNAL_DIR = path.join(RESULTS_DIR, 'journals');
+
+const JOURNAL_STATUS = {
+  PENDING: 'pending',
+  SENT: 'sent',
+  CONFIRMED: 'confirmed',
+  FAILED: 'failed'
+};
+
+/**
+ * Get the journal file path for a mint type
+ * @param {string} type - Mint type (e.g. 'participation', 'builders')
+ * @param {object} options - Journal scope
+ * @param {string} options.network - Network minted on (default: NETWORK)
+ * @param {string} options.eventFile - Event file the tier comes from (default: EVENT_FILE)
+ * @returns {string} Full path to the journal file, e.g. journals/devnet/campus-tour-2026/participation.jsonl
+ */
+export function getJournalPath(type, { network = getConfig().network, eventFile = getConfig().eventFile } = {}) {
+  return path.join(JOURNAL_DIR, network, path.basename(eventFile, path.extname(eventFile)), `${type}.jsonl`);
+}
+
+/**
+ * Append an entry to the journal and flush it to disk
+ * @param {string} journalPath - Journal file path
+ * @param {object} entry - Entry with at least wallet and status
+ */
+export function appendJournalEntry(journalPath, entry) {
+  const dir = path.dirname(journalPath);
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true });
+  }
+
+  let line = JSON.stringify({ ...entry, network: getConfig().network, at: new Date().toISOString() }) + '\n';
+  const fd = fs.openSync(journalPath, 'a+');
+  try {
+    // Start on a fresh line if an earlier run died mid-write
+    const { size } = fs.fstatSync(fd);
+    if (size > 0) {
+      const last = Buffer.alloc(1);
+      fs.readSync(fd, last, 0, 1, size - 1);
+      if (last[0] !== 0x0a) line = '\n' + line;
+    }
+    fs.writeSync(fd, line);
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+/**
+ * Read all journal entries
+ * A torn final line (crash mid-write) is ignored.
+ * @param {string} journalPath - Journal file path
+ * @returns {Array<object>} Entries in write order
+ */
+export function readJournal(journalPath) {
+  if (!fs.existsSync(journalPath)) {
+    return [];
+  }
+
+  const entries = [];
+  for (const line of fs.readFileSync(journalPath, 'utf8').split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      entries.push(JSON.parse(line));
+    } catch (e) {
+      // Partial write from an interrupted run
+    }
+  }
+  return entries;
+}
+
+/**
+ * Fold journal entries into the latest state per wallet
+ * Fields from earlier entries (signature, treeAddress) are carried forward.
+ * @param {Array<object>} entries - Journal entries
+ * @returns {Map<string, object>} Wallet -> latest state
+ */
+export function rebuildMintState(entries) {
+  const state = new Map();
+
+  for (const entry of entries) {
+    const previous = state.get(entry.wallet) || {};
+    // A fresh attempt starts with a new pending entry
+    const base = entry.status === JOURNAL_STATUS.PENDING ? {} : previous;
+    state.set(entry.wallet, { ...base, ...entry });
+  }
+
+  return state;
+}
+
+/**
+ * Resolve "sent" journal entries against the chain
+ * @param {import('@metaplex-foundation/umi').Umi} umi - Umi instance
+ * @param {object} record - Journal state for one wallet
+ * @returns {Promise<'confirmed'|'failed'|'unknown'>} Outcome
+ */
+async function resolveSentEntry(umi, record) {
+  const signature = Buffer.from(record.signature, 'base64');
+  const { state } = await getSignatureOutcome(umi, signature, record.lastValidBlockHeight);
+
+  if (state === 'confirmed') return JOURNAL_STATUS.CONFIRMED;
+  // Failed on-chain, or expired without landing: safe to mint again
+  if (state === 'failed' || state === 'expired') return JOURNAL_STATUS.FAILED;
+  return 'unknown';
+}
+
+/**
+ * Rebuild minting state from the journal after a restart
+ * In-flight ("sent") entries are checked on-chain and the outcome is
+ * appended to the journal. Entries from another network are ignored.
+ * @param {import('@metaplex-foundation/umi').Umi} umi - Umi instance
+ * @param {string} journalPath - Journal file path
+ * @param {Array<{wallet: string}>} recipients - All recipients for this run
+ * @returns {Promise<{confirmed: Array, unresolved: Array}>} Recipients already minted,
+ *   and recipients whose last transaction may still land
+ */
+export async function recoverFromJournal(umi, journalPath, recipients) {
+  const { network } = getConfig();
+  const state = rebuildMintState(readJournal(journalPath).filter(entry => entry.network === network));
+  const confirmed = [];
+  const unresolved = [];
+
+  for (const recipient of recipients) {
+    const record = state.get(recipient.wallet);
+    if (!record) continue;
+
+    let status = record.status;
+
+    let asset = { leafIndex: record.leafIndex ?? null, assetId: record.assetId ?? null };
+
+    if (status === JOURNAL_STATUS.SENT) {
+      status = await resolveSentEntry(umi, record);
+
+      if (status === JOURNAL_STATUS.CONFIRMED && record.treeAddress) {
+        try {
+          // Batched mints share a transaction; pick this wallet's leaf
+          asset = record.batchIndex != null
+            ? (await extractMintedLeaves(umi, record.treeAddress, record.signature))[record.batchIndex]
+            : await extractMintedLeaf(umi, record.treeAddress, record.signature);
+        } catch (error) {
+          // Landed but unreadable; keep the mint without its asset ID
+        }
+      }
+
+      if (status !== 'unknown') {
+        appendJournalEntry(journalPath, {
+          wallet: recipient.wallet,
+          status,
+          signature: record.signature,
+          treeAddress: record.treeAddress,
+          ...(status === JOURNAL_STATUS.CONFIRMED ? asset : { error: 'Not landed (recovered from journal)' })
+        });
+      }
+    }
+
+    if (status === JOURNAL_STATUS.CONFIRMED) {
+      confirmed.push({
+        ...recipient,
+        signature: record.signature || null,
+        treeAddress: record.treeAddress || null,
+        ...asset,
+        ...(record.alreadyHeld ? { alreadyHeld: true } : {}),
+        mintedAt: record.alreadyHeld ? null : (record.status === JOURNAL_STATUS.CONFIRMED ? record.at : new Date().toISOString())
+      });
+    } else if (status === 'unknown') {
+      unresolved.push({ ...recipient, signature: record.signature });
+    }
+  }
+
+  return { confirmed, unresolved };
+}
+
+export { JOURNAL_DIR, JOURNAL_STATUS };
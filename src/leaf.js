@@ -0,0 +1,112 @@
+/**
+ * Compressed asset lookup for minted leaves
+ * Reads Bubblegum's leaf-schema event from a mint transaction to find the
+ * leaf nonce, then derives the asset ID from (tree, nonce).
+ */
+
+import { publicKey } from '@metaplex-foundation/umi';
+import {
+  findLeafAssetIdPda,
+  getLeafSchemaSerializer,
+  parseLeafFromMintV1Transaction,
+  MPL_BUBBLEGUM_PROGRAM_ID
+} from '@metaplex-foundation/mpl-bubblegum';
+import { delay } from './utils.js';
+
+/**
+ * Derive the asset ID of a compressed NFT
+ * @param {import('@metaplex-foundation/umi').Umi} umi - Umi instance
+ * @param {string} treeAddress - Merkle tree public key
+ * @param {number} leafIndex - Leaf nonce
+ * @returns {string} Asset ID
+ */
+export function getAssetId(umi, treeAddress, leafIndex) {
+  const [assetId] = findLeafAssetIdPda(umi, {
+    merkleTree: publicKey(treeAddress),
+    leafIndex
+  });
+  return assetId.toString();
+}
+
+/**
+ * Extract the leaf index and asset ID from a confirmed mint transaction
+ * The transaction can take a moment to be served by getTransaction after
+ * confirmation, so lookups are retried.
+ * @param {import('@metaplex-foundation/umi').Umi} umi - Umi instance
+ * @param {string} treeAddress - Merkle tree public key
+ * @param {string} signature - Base64 transaction signature
+ * @param {function} parseLeaf - Leaf parser for the mint instruction used
+ * @param {number} maxAttempts - Maximum lookup attempts
+ * @returns {Promise<{leafIndex: number, assetId: string}>} Leaf details
+ */
+export async function extractMintedLeaf(umi, treeAddress, signature, parseLeaf = parseLeafFromMintV1Transaction, maxAttempts = 5) {
+  const signatureBytes = Buffer.from(signature, 'base64');
+  let lastError = null;
+
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    try {
+      const leaf = await parseLeaf(umi, signatureBytes);
+      const leafIndex = Number(leaf.nonce);
+
+      return {
+        leafIndex,
+        assetId: getAssetId(umi, treeAddress, leafIndex)
+      };
+    } catch (error) {
+      lastError = error;
+      if (attempt < maxAttempts) {
+        await delay(attempt * 1000);
+      }
+    }
+  }
+
+  throw new Error(`Could not read leaf from transaction: ${lastError?.message || 'unknown error'}`);
+}
+
+/**
+ * Extract every minted leaf from a transaction holding several mints
+ * Each Bubblegum instruction emits its leaf-schema event as its first inner
+ * instruction, so leaves come back in instruction order.
+ * @param {import('@metaplex-foundation/umi').Umi} umi - Umi instance
+ * @param {string} treeAddress - Merkle tree public key
+ * @param {string} signature - Base64 transaction signature
+ * @param {number} maxAttempts - Maximum lookup attempts
+ * @returns {Promise<Array<{leafIndex: number, assetId: string}>>} Leaves in instruction order
+ */
+export async function extractMintedLeaves(umi, treeAddress, signature, maxAttempts = 5) {
+  const signatureBytes = Buffer.from(signature, 'base64');
+  const bubblegumProgramId = umi.programs.getPublicKey('mplBubblegum', MPL_BUBBLEGUM_PROGRAM_ID);
+  let lastError = null;
+
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    try {
+      const transaction = await umi.rpc.getTransaction(signatureBytes);
+      if (!transaction) {
+        throw new Error('Transaction not found');
+      }
+
+      const { instructions, accounts } = transaction.message;
+      const innerInstructions = transaction.meta?.innerInstructions || [];
+
+      return instructions
+        .map((ix, index) => ({ ix, index }))
+        .filter(({ ix }) => accounts[ix.programIndex] === bubblegumProgramId)
+        .map(({ index }) => {
+          const inner = innerInstructions.find(group => group.index === index);
+          if (!inner || !inner.instructions[0]) {
+            throw new Error(`No leaf event for instruction ${index}`);
+          }
+          const [leaf] = getLeafSchemaSerializer().deserialize(inner.instructions[0].data.slice(8));
+          const leafIndex = Number(leaf.nonce);
+          return { leafIndex, assetId: getAssetId(umi, treeAddress, leafIndex) };
+        });
+    } catch (error) {
+      lastError = error;
+      if (attempt < maxAttempts) {
+        await delay(attempt * 1000);
+      }
+    }
+  }
+
+  throw new Error(`Could not read leaves from transaction: ${lastError?.message || 'unknown error'}`);
+}
@@ -0,0 +1,55 @@
+import { publicKey } from '@metaplex-foundation/umi';
+import { createLut, fetchAddressLookupTable } from '@metaplex-foundation/mpl-toolbox';
+import { loadConfig, saveConfig, delay } from './utils.js';
+import { withComputeBudget } from './fees.js';
+import { sendAndConfirm } from './send.js';
+
+/**
+ * Get an Address Lookup Table holding the given addresses, creating one if needed
+ * Tables are cached in data/config.json under lookupTables[key], so they are
+ * paid for once per tree rather than once per run.
+ * @param {import('@metaplex-foundation/umi').Umi} umi - Umi instance
+ * @param {string} key - Cache key (e.g. tree address)
+ * @param {Array<import('@metaplex-foundation/umi').PublicKey>} addresses - Addresses to look up
+ * @param {object} options - Creation options
+ * @param {object} options.computeBudget - Priority fee to pay (see fees.js)
+ * @returns {Promise<{publicKey: import('@metaplex-foundation/umi').PublicKey, addresses: Array}>} Lookup table input
+ */
+export async function getOrCreateLookupTable(umi, key, addresses, options = {}) {
+  const config = loadConfig() || {};
+  const existingAddress = config.lookupTables?.[key];
+
+  if (existingAddress) {
+    const existing = await fetchAddressLookupTable(umi, publicKey(existingAddress));
+    const covered = new Set(existing.addresses.map(a => a.toString()));
+
+    if (addresses.every(a => covered.has(a.toString()))) {
+      return { publicKey: existing.publicKey, addresses: existing.addresses };
+    }
+  }
+
+  const recentSlot = await umi.rpc.getSlot({ commitment: 'finalized' });
+  const [builder, lookupTable] = createLut(umi, { recentSlot, addresses });
+
+  // Table creation keeps the runtime's default compute limit; only the
+  // priority fee applies
+  const budget = options.computeBudget ? { ...options.computeBudget, unitsPerInstruction: 0 } : null;
+  await sendAndConfirm(umi, withComputeBudget(umi, builder, budget));
+
+  // A new table only serves lookups from the slot after it was extended
+  const createdSlot = await umi.rpc.getSlot();
+  while ((await umi.rpc.getSlot()) <= createdSlot) {
+    await delay(400);
+  }
+
+  const latestConfig = loadConfig() || {};
+  saveConfig({
+    ...latestConfig,
+    lookupTables: {
+      ...latestConfig.lookupTables,
+      [key]: lookupTable.publicKey.toString()
+    }
+  });
+
+  return lookupTable;
+}
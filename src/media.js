@@ -0,0 +1,267 @@
+/**
+ * POAP artwork checks
+ *
+ * File types are detected from their leading bytes (not the extension), so
+ * metadata always declares what was actually uploaded. A tier's `image` can
+ * be a PNG, JPEG, GIF, WebP or SVG; an optional `animation` (MP4) becomes
+ * the metadata's animation_url, with the image as its still preview.
+ *
+ * Sizes and dimensions are checked against limits wallets display reliably,
+ * before anything is uploaded.
+ */
+
+import { readAsset, assetExists } from './utils.js';
+
+// Wallet-friendly limits, by metadata category
+const MEDIA_LIMITS = {
+  image: { maxBytes: 10 * 1024 * 1024, minDimension: 256, maxDimension: 4096 },
+  video: { maxBytes: 50 * 1024 * 1024, minDimension: 256, maxDimension: 4096 }
+};
+
+// ftyp major brands of MP4 files; HEIC, AVIF, QuickTime and 3GP share the box
+const MP4_BRANDS = ['isom', 'iso2', 'iso4', 'iso5', 'iso6', 'mp41', 'mp42', 'avc1', 'dash', 'mmp4', 'M4V ', 'MSNV'];
+
+/**
+ * Detect a file's content type from its signature
+ * @param {Uint8Array} buffer - File bytes
+ * @returns {string|null} MIME type, or null if not a supported format
+ */
+export function detectContentType(buffer) {
+  const bytes = Buffer.from(buffer);
+  const ascii = (start, end) => bytes.toString('latin1', start, end);
+
+  if (bytes.length >= 8 && bytes.readUInt32BE(0) === 0x89504e47 && bytes.readUInt32BE(4) === 0x0d0a1a0a) {
+    return 'image/png';
+  }
+  if (bytes.length >= 3 && bytes[0] === 0xff && bytes[1] === 0xd8 && bytes[2] === 0xff) {
+    return 'image/jpeg';
+  }
+  if (ascii(0, 6) === 'GIF87a' || ascii(0, 6) === 'GIF89a') {
+    return 'image/gif';
+  }
+  if (ascii(0, 4) === 'RIFF' && ascii(8, 12) === 'WEBP') {
+    return 'image/webp';
+  }
+  if (ascii(4, 8) === 'ftyp' && MP4_BRANDS.includes(ascii(8, 12))) {
+    return 'video/mp4';
+  }
+
+  // SVG is text: an optional BOM, XML declaration or comments, then <svg
+  const head = bytes.toString('utf8', 0, 1024).replace(/^\uFEFF/, '').trimStart();
+  if (/^(<\?xml[^>]*>\s*)?(<!--[\s\S]*?-->\s*|<!DOCTYPE[^>]*>\s*)*<svg[\s>]/i.test(head)) {
+    return 'image/svg+xml';
+  }
+
+  return null;
+}
+
+/**
+ * Get the metadata category for a content type
+ * @param {string} contentType - MIME type
+ * @returns {string} 'image' or 'video'
+ */
+export function getCategory(contentType) {
+  return contentType.startsWith('video/') ? 'video' : 'image';
+}
+
+/**
+ * Read the first frame's dimensions of a JPEG (from its SOF marker)
+ * @param {Buffer} bytes - JPEG bytes
+ * @returns {{width: number, height: number}|null} Dimensions
+ */
+function jpegDimensions(bytes) {
+  let offset = 2;
+  while (offset + 9 < bytes.length) {
+    if (bytes[offset] !== 0xff) return null;
+    const marker = bytes[offset + 1];
+    // SOF0-SOF15, except DHT (C4), JPG (C8) and DAC (CC)
+    if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+      return { height: bytes.readUInt16BE(offset + 5), width: bytes.readUInt16BE(offset + 7) };
+    }
+    offset += 2 + bytes.readUInt16BE(offset + 2);
+  }
+  return null;
+}
+
+/**
+ * Read a WebP's dimensions (lossy, lossless or extended)
+ * @param {Buffer} bytes - WebP bytes
+ * @returns {{width: number, height: number}|null} Dimensions
+ */
+function webpDimensions(bytes) {
+  const chunk = bytes.toString('latin1', 12, 16);
+  if (chunk === 'VP8 ' && bytes.length >= 30) {
+    return { width: bytes.readUInt16LE(26) & 0x3fff, height: bytes.readUInt16LE(28) & 0x3fff };
+  }
+  if (chunk === 'VP8L' && bytes.length >= 25) {
+    const bits = bytes.readUInt32LE(21);
+    return { width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 };
+  }
+  if (chunk === 'VP8X' && bytes.length >= 30) {
+    return { width: bytes.readUIntLE(24, 3) + 1, height: bytes.readUIntLE(27, 3) + 1 };
+  }
+  return null;
+}
+
+/**
+ * Read an SVG's size from its width/height attributes, or else its viewBox
+ * @param {Buffer} bytes - SVG bytes
+ * @returns {{width: number, height: number}|null} Dimensions
+ */
+function svgDimensions(bytes) {
+  const tag = bytes.toString('utf8').match(/<svg[^>]*>/i)?.[0] || '';
+  const attribute = (name) => tag.match(new RegExp(`\\s${name}\\s*=\\s*["']([^"']*)["']`, 'i'))?.[1];
+
+  const width = parseFloat(attribute('width'));
+  const height = parseFloat(attribute('height'));
+  if (width > 0 && height > 0 && !/%/.test(attribute('width') + attribute('height'))) {
+    return { width, height };
+  }
+
+  const viewBox = (attribute('viewBox') || '').trim().split(/[\s,]+/).map(Number);
+  if (viewBox.length === 4 && viewBox[2] > 0 && viewBox[3] > 0) {
+    return { width: viewBox[2], height: viewBox[3] };
+  }
+  return null;
+}
+
+/**
+ * Read an MP4's video size from its first track header with one
+ * @param {Buffer} bytes - MP4 bytes
+ * @returns {{width: number, height: number}|null} Dimensions
+ */
+function mp4Dimensions(bytes) {
+  let index = bytes.indexOf('tkhd');
+  while (index >= 4) {
+    const end = index - 4 + bytes.readUInt32BE(index - 4);
+    // Width and height are the last 8 bytes of the box, as 16.16 fixed point
+    if (end <= bytes.length && end - 8 > index) {
+      const width = bytes.readUInt32BE(end - 8) / 65536;
+      const height = bytes.readUInt32BE(end - 4) / 65536;
+      if (width > 0 && height > 0) return { width, height };
+    }
+    index = bytes.indexOf('tkhd', index + 4);
+  }
+  return null;
+}
+
+/**
+ * Read a file's pixel dimensions
+ * @param {Uint8Array} buffer - File bytes
+ * @param {string} contentType - MIME type (see detectContentType)
+ * @returns {{width: number, height: number}|null} Dimensions, or null if unreadable
+ */
+export function getDimensions(buffer, contentType) {
+  const bytes = Buffer.from(buffer);
+  switch (contentType) {
+    case 'image/png':
+      return bytes.length >= 24 ? { width: bytes.readUInt32BE(16), height: bytes.readUInt32BE(20) } : null;
+    case 'image/gif':
+      return bytes.length >= 10 ? { width: bytes.readUInt16LE(6), height: bytes.readUInt16LE(8) } : null;
+    case 'image/jpeg':
+      return jpegDimensions(bytes);
+    case 'image/webp':
+      return webpDimensions(bytes);
+    case 'image/svg+xml':
+      return svgDimensions(bytes);
+    case 'video/mp4':
+      return mp4Dimensions(bytes);
+    default:
+      return null;
+  }
+}
+
+/**
+ * Inspect one artwork file against the limits for its role
+ * @param {Uint8Array} buffer - File bytes
+ * @param {'image'|'video'} role - What the tier uses it for
+ * @returns {{contentType: string|null, category: string|null, bytes: number,
+ *   width: number|null, height: number|null, errors: Array<string>, warnings: Array<string>}}
+ *   Detected type and size, with problems found
+ */
+export function inspectMedia(buffer, role) {
+  const contentType = detectContentType(buffer);
+  const info = { contentType, category: null, bytes: buffer.length, width: null, height: null, errors: [], warnings: [] };
+
+  if (!contentType) {
+    info.errors.push('unsupported file type (expected PNG, JPEG, GIF, WebP, SVG or MP4)');
+    return info;
+  }
+
+  info.category = getCategory(contentType);
+  if (info.category !== role) {
+    info.errors.push(role === 'image'
+      ? `${contentType} can't be the image; set it as the tier's animation instead`
+      : `${contentType} can't be the animation; only video (MP4) is supported`);
+    return info;
+  }
+
+  const limits = MEDIA_LIMITS[role];
+  if (info.bytes > limits.maxBytes) {
+    info.errors.push(`${formatBytes(info.bytes)} is over the ${formatBytes(limits.maxBytes)} limit`);
+  }
+
+  const dimensions = getDimensions(buffer, contentType);
+  if (!dimensions) {
+    info.warnings.push('dimensions could not be read');
+    return info;
+  }
+
+  info.width = dimensions.width;
+  info.height = dimensions.height;
+  const smallest = Math.min(info.width, info.height);
+  const largest = Math.max(info.width, info.height);
+
+  // SVG scales freely, so only its aspect ratio matters
+  if (contentType !== 'image/svg+xml') {
+    if (largest > limits.maxDimension) {
+      info.errors.push(`${info.width}x${info.height} is over ${limits.maxDimension}px; wallets may not render it`);
+    } else if (smallest < limits.minDimension) {
+      info.errors.push(`${info.width}x${info.height} is under ${limits.minDimension}px; it will look blurry`);
+    }
+  }
+  if (info.width !== info.height) {
+    info.warnings.push(`${info.width}x${info.height} is not square; wallets crop POAPs to a square`);
+  }
+
+  return info;
+}
+
+/**
+ * Check a tier's artwork files
+ * @param {object} tier - Tier from the event
+ * @returns {{image: object|null, animation: object|null, errors: Array<string>, warnings: Array<string>}}
+ *   Results of inspectMedia per file, and all problems prefixed with the file name
+ */
+export function checkTierMedia(tier) {
+  const result = { image: null, animation: null, errors: [], warnings: [] };
+
+  const files = [['image', tier.image, 'image'], ['animation', tier.animation, 'video']];
+  for (const [field, filename, role] of files) {
+    if (!filename) continue;
+    if (!assetExists(filename)) {
+      result.errors.push(`${filename}: not found in assets/`);
+      continue;
+    }
+
+    const info = inspectMedia(readAsset(filename), role);
+    result[field] = info;
+    result.errors.push(...info.errors.map(message => `${filename}: ${message}`));
+    result.warnings.push(...info.warnings.map(message => `${filename}: ${message}`));
+  }
+
+  return result;
+}
+
+/**
+ * Format a byte count for display
+ * @param {number} bytes - Byte count
+ * @returns {string} e.g. "1.8 MB"
+ */
+export function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+export { MEDIA_LIMITS };
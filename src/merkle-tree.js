@@ -1,97 +1,245 @@
 import { generateSigner, publicKey } from '@metaplex-foundation/umi';
-import { createTree } from '@metaplex-foundation/mpl-bubblegum';
+import { createTree, fetchTreeConfigFromSeeds, getTreeConfigSize } from '@metaplex-foundation/mpl-bubblegum';
+import { fetchMerkleTree, getMerkleTreeSize } from '@metaplex-foundation/spl-account-compression';
+import { withComputeBudget } from './fees.js';
+import { sendAndConfirm } from './send.js';
+import { getTiers } from './event.js';
+import { registerTree } from './tree-registry.js';
 import { loadConfig, saveConfig } from './utils.js';
 
 /**
  * Default tree parameters
- * maxDepth: 10 = 2^10 = 1,024 possible leaves (enough for ~200 participants)
- * maxBufferSize: 32 = concurrent updates allowed
+ * maxDepth: 9 = 2^9 = 512 possible leaves (enough for ~200 participants)
+ * maxBufferSize: 16 = concurrent updates allowed
+ * canopyDepth: 0 = no proof nodes cached on-chain
  *
- * Cost-saving: Smaller trees are much cheaper!
- * - Depth 14 (16k capacity): ~3.85 SOL per tree
- * - Depth 10 (1k capacity): ~0.15 SOL per tree
+ * Use the tree planner (tree-planner.js) to size trees for a bigger tour.
  */
 const DEFAULT_MAX_DEPTH = 9;
 const DEFAULT_MAX_BUFFER_SIZE = 16;
+const DEFAULT_CANOPY_DEPTH = 0;
 
 /**
  * Create a new Merkle tree for compressed NFTs
  * @param {import('@metaplex-foundation/umi').Umi} umi - Umi instance
- * @param {number} maxDepth - Maximum tree depth (default: 14)
- * @param {number} maxBufferSize - Maximum buffer size (default: 64)
+ * @param {{maxDepth: number, maxBufferSize: number, canopyDepth?: number}} params - Tree dimensions
+ * @param {object} options - Creation options
+ * @param {object} options.computeBudget - Priority fee to pay (see fees.js)
  * @returns {Promise<{address: string, signature: string}>} Tree address and tx signature
  */
-export async function createMerkleTree(umi, maxDepth = DEFAULT_MAX_DEPTH, maxBufferSize = DEFAULT_MAX_BUFFER_SIZE) {
+export async function createMerkleTree(umi, { maxDepth, maxBufferSize, canopyDepth = 0 }, options = {}) {
   // Generate a new keypair for the tree
   const merkleTree = generateSigner(umi);
 
-  // Create the tree
+  // Create the tree (account space and rent include the canopy)
   const builder = await createTree(umi, {
     merkleTree,
     maxDepth,
     maxBufferSize,
+    canopyDepth,
   });
 
+  // Tree creation keeps the runtime's default compute limit; only the
+  // priority fee applies
+  const budget = options.computeBudget ? { ...options.computeBudget, unitsPerInstruction: 0 } : null;
+
   // Send and confirm transaction
-  const result = await builder.sendAndConfirm(umi);
+  const signature = await sendAndConfirm(umi, withComputeBudget(umi, builder, budget));
 
   return {
     address: merkleTree.publicKey.toString(),
-    signature: Buffer.from(result.signature).toString('base64')
+    signature
+  };
+}
+
+/**
+ * Read the on-chain header of a Merkle tree
+ * @param {import('@metaplex-foundation/umi').Umi} umi - Umi instance
+ * @param {string} treeAddress - Merkle tree public key
+ * @returns {Promise<{maxDepth: number, maxBufferSize: number, canopyDepth: number}>} Tree dimensions
+ */
+export async function fetchTreeHeader(umi, treeAddress) {
+  const merkleTree = await fetchMerkleTree(umi, publicKey(treeAddress));
+  const { maxDepth, maxBufferSize } = merkleTree.treeHeader;
+
+  return { maxDepth, maxBufferSize, canopyDepth: getCanopyDepth(merkleTree) };
+}
+
+/**
+ * Get the canopy depth of a fetched Merkle tree account
+ * @param {object} merkleTree - Account from fetchMerkleTree
+ * @returns {number} Canopy depth
+ */
+function getCanopyDepth(merkleTree) {
+  // A canopy of depth d caches 2^(d+1) - 2 nodes
+  return Math.log2(merkleTree.canopy.length + 2) - 1;
+}
+
+/**
+ * Read everything known on-chain about a tree
+ * Combines the Merkle tree account (shape) with Bubblegum's tree config
+ * (mint counts and authorities).
+ * @param {import('@metaplex-foundation/umi').Umi} umi - Umi instance
+ * @param {string} treeAddress - Merkle tree public key
+ * @returns {Promise<object|null>} Tree details, or null if the tree account does not exist on this cluster
+ */
+export async function fetchTreeInfo(umi, treeAddress) {
+  const merkleTree = publicKey(treeAddress);
+  if (!(await umi.rpc.accountExists(merkleTree))) {
+    return null;
+  }
+
+  const [account, treeConfig] = await Promise.all([
+    fetchMerkleTree(umi, merkleTree),
+    fetchTreeConfigFromSeeds(umi, { merkleTree })
+  ]);
+  const capacity = Number(treeConfig.totalMintCapacity);
+  const minted = Number(treeConfig.numMinted);
+
+  return {
+    address: treeAddress,
+    maxDepth: account.treeHeader.maxDepth,
+    maxBufferSize: account.treeHeader.maxBufferSize,
+    canopyDepth: getCanopyDepth(account),
+    capacity,
+    minted,
+    remaining: Math.max(0, capacity - minted),
+    treeCreator: treeConfig.treeCreator.toString(),
+    treeDelegate: treeConfig.treeDelegate.toString(),
+    isPublic: treeConfig.isPublic
   };
 }
 
 /**
- * Create Merkle trees for both POAP tiers
+ * Read how many leaves a tree has left
  * @param {import('@metaplex-foundation/umi').Umi} umi - Umi instance
+ * @param {string} treeAddress - Merkle tree public key
+ * @returns {Promise<{capacity: number, minted: number, remaining: number}>} Tree usage
+ */
+export async function fetchTreeCapacity(umi, treeAddress) {
+  const treeConfig = await fetchTreeConfigFromSeeds(umi, { merkleTree: publicKey(treeAddress) });
+  const capacity = Number(treeConfig.totalMintCapacity);
+  const minted = Number(treeConfig.numMinted);
+
+  return { capacity, minted, remaining: Math.max(0, capacity - minted) };
+}
+
+/**
+ * Set up a Merkle tree for every tier in the event
+ * Tiers listed in options.reuse switch to (or keep) an existing tree; the
+ * others get a new tree. A tier's current tree that already holds POAPs, or
+ * whose mint count can't be read, is never replaced unless
+ * options.replaceUsed is set, and then moves to previousTrees. Every tree
+ * involved is recorded in the tree registry once the checks pass.
+ * @param {import('@metaplex-foundation/umi').Umi} umi - Umi instance
+ * @param {{maxDepth: number, maxBufferSize: number, canopyDepth?: number}} params - Dimensions for new trees
+ * @param {object} options - Setup options
+ * @param {object} options.computeBudget - Priority fee to pay (see fees.js)
+ * @param {object} options.reuse - Existing trees to use instead of creating, keyed by tier
+ * @param {boolean} options.replaceUsed - Allow replacing a current tree that already holds POAPs
+ * @param {Array<object>} options.tiers - Tiers to set up (default: all tiers in EVENT_FILE)
  * @returns {Promise<object>} Updated config with tree addresses
  */
-export async function createBothTrees(umi) {
+export async function createTierTrees(umi, params = {}, options = {}) {
+  const dimensions = {
+    maxDepth: params.maxDepth ?? DEFAULT_MAX_DEPTH,
+    maxBufferSize: params.maxBufferSize ?? DEFAULT_MAX_BUFFER_SIZE,
+    canopyDepth: params.canopyDepth ?? DEFAULT_CANOPY_DEPTH
+  };
+  const reuse = options.reuse || {};
+  const tiers = options.tiers || getTiers();
+
   const config = loadConfig();
 
   if (!config) {
     throw new Error('Config not found. Run upload-assets first.');
   }
 
-  console.log('\n🌳 Creating Participation tree...');
-  const participationTree = await createMerkleTree(umi);
-  console.log(`   ✅ Address: ${participationTree.address}`);
-
-  console.log('\n🌳 Creating Builder tree...');
-  const builderTree = await createMerkleTree(umi);
-  console.log(`   ✅ Address: ${builderTree.address}`);
-
-  // Update config with tree addresses
-  const updatedConfig = {
-    ...config,
-    participation: {
-      ...config.participation,
-      treeAddress: participationTree.address
-    },
-    builder: {
-      ...config.builder,
-      treeAddress: builderTree.address
+  // Check every tier before creating anything, so a refusal costs nothing.
+  // A tree whose mint count can't be read is treated as used (null).
+  const mintedInCurrent = {};
+  for (const { key, label } of tiers) {
+    const current = config[key]?.treeAddress;
+    if (!current || reuse[key] === current) continue;
+
+    let minted;
+    try {
+      ({ minted } = await fetchTreeCapacity(umi, current));
+    } catch (error) {
+      if (!options.replaceUsed) {
+        throw new Error(
+          `Couldn't read how many POAPs ${label} tree ${current} holds (${error.message}). ` +
+          'Re-run when the RPC is reachable, or pass --replace to retire it to previousTrees anyway.'
+        );
+      }
+      minted = null;
     }
-  };
+    mintedInCurrent[key] = minted;
 
-  saveConfig(updatedConfig);
+    if (minted > 0 && !options.replaceUsed) {
+      throw new Error(
+        `${label} tree ${current} already holds ${minted} POAPs from a mint run. ` +
+        'Reuse it, or pass --replace to retire it to previousTrees.'
+      );
+    }
+  }
+
+  // Only record the trees being replaced once the run is going ahead, and
+  // only those read on this cluster, so none is filed under the wrong network
+  for (const [key, minted] of Object.entries(mintedInCurrent)) {
+    if (minted !== null) registerTree({ address: config[key].treeAddress, purpose: key });
+  }
+
+  let updatedConfig = config;
+
+  for (const { key, label } of tiers) {
+    let address = reuse[key];
+
+    if (address) {
+      console.log(`\n🌳 Reusing ${label} tree: ${address}`);
+      registerTree({ address, purpose: key });
+    } else {
+      console.log(`\n🌳 Creating ${label} tree...`);
+      address = (await createMerkleTree(umi, dimensions, options)).address;
+      registerTree({ address, purpose: key, ...dimensions });
+      console.log(`   ✅ Address: ${address}`);
+    }
+
+    // Saved per tier, so a failure on a later tree doesn't lose the earlier ones
+    const tier = updatedConfig[key] || {};
+    const retired = mintedInCurrent[key] !== undefined && mintedInCurrent[key] !== 0 ? [tier.treeAddress] : [];
+    updatedConfig = {
+      ...updatedConfig,
+      [key]: {
+        ...tier,
+        treeAddress: address,
+        ...(retired.length > 0 && { previousTrees: [...(tier.previousTrees || []), ...retired] }),
+        ...(tier.spareTrees && { spareTrees: tier.spareTrees.filter(spare => spare !== address) })
+      }
+    };
+    saveConfig(updatedConfig);
+  }
 
   return updatedConfig;
 }
 
 /**
- * Estimate the cost to create a Merkle tree
- * Based on account size = 1.5 * (32 * 2^maxDepth + 32 * maxBufferSize * maxDepth)
- * @param {number} maxDepth - Maximum tree depth
- * @param {number} maxBufferSize - Maximum buffer size
- * @returns {number} Estimated cost in SOL
+ * Get the exact rent to create a Merkle tree
+ * Covers the tree account (including its canopy) and Bubblegum's tree config
+ * account, priced with getMinimumBalanceForRentExemption.
+ * @param {import('@metaplex-foundation/umi').Umi} umi - Umi instance
+ * @param {{maxDepth: number, maxBufferSize: number, canopyDepth?: number}} params - Tree dimensions
+ * @returns {Promise<{bytes: number, lamports: number, sol: number}>} Tree account size and total rent
  */
-export function estimateTreeCost(maxDepth = DEFAULT_MAX_DEPTH, maxBufferSize = DEFAULT_MAX_BUFFER_SIZE) {
-  // Rough estimate based on account rent exemption
-  // This is approximate - actual cost depends on network conditions
-  const treeSize = 32 * Math.pow(2, maxDepth) + 32 * maxBufferSize * maxDepth;
-  const rentPerByte = 0.00000696; // Approximate rent per byte per epoch
-  return Math.ceil(treeSize * rentPerByte * 100) / 100;
+export async function fetchTreeCost(umi, { maxDepth, maxBufferSize, canopyDepth = 0 }) {
+  const bytes = getMerkleTreeSize(maxDepth, maxBufferSize, canopyDepth);
+  const [treeRent, configRent] = await Promise.all([
+    umi.rpc.getRent(bytes),
+    umi.rpc.getRent(getTreeConfigSize())
+  ]);
+  const lamports = Number(treeRent.basisPoints + configRent.basisPoints);
+
+  return { bytes, lamports, sol: lamports / 1e9 };
 }
 
-export { DEFAULT_MAX_DEPTH, DEFAULT_MAX_BUFFER_SIZE };
+export { DEFAULT_MAX_DEPTH, DEFAULT_MAX_BUFFER_SIZE, DEFAULT_CANOPY_DEPTH };
@@ -0,0 +1,155 @@
+/**
+ * Metadata schema checks
+ *
+ * Uploads to Arweave are permanent, so metadata JSON is checked against the
+ * Metaplex non-fungible standard before it is sent, and the on-chain name,
+ * symbol and URI against Token Metadata's limits before minting.
+ *
+ * https://developers.metaplex.com/token-metadata/token-standard
+ */
+
+// Token Metadata limits for on-chain fields, in bytes
+const MAX_NAME_BYTES = 32;
+const MAX_SYMBOL_BYTES = 10;
+const MAX_URI_BYTES = 200;
+
+const METADATA_KEYS = [
+  'name', 'symbol', 'description', 'seller_fee_basis_points', 'image',
+  'animation_url', 'external_url', 'attributes', 'properties', 'collection'
+];
+const ATTRIBUTE_KEYS = ['trait_type', 'value', 'display_type', 'max_value'];
+const CATEGORIES = ['image', 'video', 'audio', 'vr', 'html'];
+
+/**
+ * Check a string against an on-chain byte limit
+ * @param {Array<string>} errors - Collects error messages
+ * @param {string} field - Field name for messages
+ * @param {*} value - Field value
+ * @param {number} maxBytes - Limit in UTF-8 bytes
+ */
+function checkBytes(errors, field, value, maxBytes) {
+  if (typeof value !== 'string' || value.length === 0) {
+    errors.push(`${field} is required`);
+  } else if (Buffer.byteLength(value) > maxBytes) {
+    errors.push(`${field} is ${Buffer.byteLength(value)} bytes (max ${maxBytes}): "${value}"`);
+  }
+}
+
+/**
+ * Check that a value is an http(s) or ar:// URI
+ * @param {Array<string>} errors - Collects error messages
+ * @param {string} field - Field name for messages
+ * @param {*} value - Field value
+ */
+function checkUri(errors, field, value) {
+  if (typeof value !== 'string' || !URL.canParse(value)) {
+    errors.push(`${field} must be a URI (got ${JSON.stringify(value)})`);
+  } else if (!['http:', 'https:', 'ar:', 'ipfs:'].includes(new URL(value).protocol)) {
+    errors.push(`${field} must be an http(s), ar:// or ipfs:// URI (got ${value})`);
+  }
+}
+
+/**
+ * Check a metadata JSON document against the Metaplex non-fungible schema
+ * @param {object} metadata - Metadata JSON (see buildTierMetadata)
+ * @returns {Array<string>} Error messages (empty if valid)
+ */
+export function validateMetadata(metadata) {
+  const errors = [];
+  if (!metadata || typeof metadata !== 'object' || Array.isArray(metadata)) {
+    return ['metadata must be an object'];
+  }
+
+  // Unknown keys are usually typos (e.g. "atributes") that wallets would ignore
+  Object.keys(metadata)
+    .filter(key => !METADATA_KEYS.includes(key))
+    .forEach(key => errors.push(`unknown field "${key}"`));
+
+  checkBytes(errors, 'name', metadata.name, MAX_NAME_BYTES);
+  checkBytes(errors, 'symbol', metadata.symbol, MAX_SYMBOL_BYTES);
+
+  if (metadata.description !== undefined && typeof metadata.description !== 'string') {
+    errors.push('description must be a string');
+  }
+  if (metadata.seller_fee_basis_points !== undefined) {
+    const fee = metadata.seller_fee_basis_points;
+    if (!Number.isInteger(fee) || fee < 0 || fee > 10000) {
+      errors.push('seller_fee_basis_points must be an integer from 0 to 10000');
+    }
+  }
+
+  checkUri(errors, 'image', metadata.image);
+  if (metadata.animation_url !== undefined) checkUri(errors, 'animation_url', metadata.animation_url);
+  if (metadata.external_url !== undefined) checkUri(errors, 'external_url', metadata.external_url);
+
+  if (!Array.isArray(metadata.attributes)) {
+    errors.push('attributes must be an array');
+  } else {
+    const traits = new Set();
+    metadata.attributes.forEach((attribute, i) => {
+      const where = `attributes[${i}]`;
+      if (!attribute || typeof attribute !== 'object' || Array.isArray(attribute)) {
+        errors.push(`${where} must be an object with trait_type and value`);
+        return;
+      }
+      Object.keys(attribute)
+        .filter(key => !ATTRIBUTE_KEYS.includes(key))
+        .forEach(key => errors.push(`${where}: unknown field "${key}"`));
+
+      if (typeof attribute.trait_type !== 'string' || attribute.trait_type.trim() === '') {
+        errors.push(`${where}: trait_type must be a non-empty string`);
+      } else if (traits.has(attribute.trait_type)) {
+        errors.push(`${where}: trait_type "${attribute.trait_type}" appears twice`);
+      } else {
+        traits.add(attribute.trait_type);
+      }
+
+      if (!['string', 'number'].includes(typeof attribute.value) || attribute.value === '') {
+        errors.push(`${where}: value must be a non-empty string or a number`);
+      }
+    });
+  }
+
+  const properties = metadata.properties;
+  if (!properties || typeof properties !== 'object') {
+    errors.push('properties must be an object with files and category');
+  } else {
+    if (!CATEGORIES.includes(properties.category)) {
+      errors.push(`properties.category must be one of: ${CATEGORIES.join(', ')}`);
+    }
+    if (!Array.isArray(properties.files) || properties.files.length === 0) {
+      errors.push('properties.files must list at least one file');
+    } else {
+      properties.files.forEach((file, i) => {
+        checkUri(errors, `properties.files[${i}].uri`, file?.uri);
+        if (typeof file?.type !== 'string' || !file.type.includes('/')) {
+          errors.push(`properties.files[${i}].type must be a MIME type`);
+        }
+      });
+      if (typeof metadata.image === 'string' && !properties.files.some(file => file?.uri === metadata.image)) {
+        errors.push('properties.files must include the image');
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Check the fields written on-chain when minting
+ * @param {object} fields - On-chain fields
+ * @param {string} fields.name - NFT name
+ * @param {string} fields.symbol - NFT symbol
+ * @param {string} fields.uri - Metadata URI
+ * @returns {Array<string>} Error messages (empty if valid)
+ */
+export function validateOnChainFields({ name, symbol, uri }) {
+  const errors = [];
+  checkBytes(errors, 'name', name, MAX_NAME_BYTES);
+  checkBytes(errors, 'symbol', symbol, MAX_SYMBOL_BYTES);
+  checkBytes(errors, 'uri', uri, MAX_URI_BYTES);
+  if (typeof uri === 'string' && uri.length > 0) checkUri(errors, 'uri', uri);
+  return errors;
+}
+
+export { MAX_NAME_BYTES, MAX_SYMBOL_BYTES, MAX_URI_BYTES };
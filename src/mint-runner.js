@@ -0,0 +1,448 @@
+/**
+ * Mint run for one POAP tier
+ *
+ * Everything a mint script does for a tier declared in the event file:
+ * validate its recipients, check the signer's authority, recover the
+ * journal, upload personalized metadata, mint and save results. Scripts 4
+ * and 5 and `npm run mint` are thin wrappers around runTierMint.
+ */
+
+import path from 'path';
+import { validateConfig, getConfig } from './config.js';
+import { createUmiClient, getWalletAddress, getWalletBalance } from './umi.js';
+import { resumeMinting, getMintConcurrency } from './mint.js';
+import { getJournalPath, recoverFromJournal } from './journal.js';
+import { createHoldingsLookup } from './holdings.js';
+import { fetchTreeHeader, fetchTreeCost } from './merkle-tree.js';
+import { createTreeAllocator } from './tree-allocator.js';
+import { checkMintAuthority } from './tree-delegate.js';
+import { resolveComputeBudget, estimateFees, BASE_FEE_LAMPORTS } from './fees.js';
+import { buildTierMetadata, uploadRecipientMetadata, checkRecipientMetadata, checkRecipientSerials } from './upload.js';
+import { validateOnChainFields } from './metadata-schema.js';
+import { loadEvent, loadTierRecipients } from './event.js';
+import { validateAllParticipants } from './validation.js';
+import {
+  loadConfig,
+  saveResults,
+  printHeader,
+  printSummary,
+  confirm,
+  shortenAddress,
+  PROJECT_ROOT,
+  PARTICIPANTS_PATH
+} from './utils.js';
+
+/**
+ * Mint a tier's POAP to everyone on its eligibility list
+ * Re-running resumes from the tier's journal; confirmed mints are skipped.
+ * @param {string} tierKey - Tier key (or slug) from the event file
+ * @param {Array<string>} args - Command-line arguments (--dry-run)
+ * @returns {Promise<{successful: Array, failed: Array}|null>} Mint results, or null if nothing was minted
+ */
+export async function runTierMint(tierKey, args = []) {
+  const isDryRun = args.includes('--dry-run');
+
+  // Validate configuration
+  validateConfig();
+  const envConfig = getConfig();
+
+  let event;
+  let tier;
+  try {
+    event = loadEvent(envConfig.eventFile);
+    tier = event.tiers.find(t => t.key === tierKey || t.slug === tierKey);
+  } catch (error) {
+    console.error(`\n❌ ${error.message}\n`);
+    process.exit(1);
+  }
+  if (!tier) {
+    console.error(`\n❌ Unknown tier "${tierKey}". ${event.name} declares: ${event.tiers.map(t => t.key).join(', ')}\n`);
+    process.exit(1);
+  }
+
+  console.log(`\n${tier.emoji} SSA ${tier.label} POAP Minting`);
+  if (isDryRun) {
+    console.log('🔍 DRY RUN MODE - No actual minting will occur');
+  }
+
+  // Load config
+  const config = loadConfig();
+  const tierConfig = config?.[tier.key];
+  if (!tierConfig?.treeAddress) {
+    console.error('\n❌ Config incomplete. Missing tree address.');
+    console.error('   Run `node scripts/2-create-trees.js` first.\n');
+    process.exit(1);
+  }
+
+  // Name, symbol and URI are written on-chain, where Token Metadata caps their length
+  const onChainErrors = validateOnChainFields({
+    name: tier.metadata.name,
+    symbol: tier.metadata.symbol,
+    uri: tierConfig.metadataUri
+  });
+  if (onChainErrors.length > 0) {
+    console.error(`\n❌ ${tier.label} metadata can't be minted:`);
+    onChainErrors.forEach(error => console.error(`   - ${error}`));
+    console.error(tierConfig.metadataUri
+      ? `   Fix the tier in ${event.file}, then re-run \`node scripts/1-upload-assets.js\`.\n`
+      : '   Run `node scripts/1-upload-assets.js` first.\n');
+    process.exit(1);
+  }
+
+  // Load recipients
+  let recipientList;
+  try {
+    recipientList = loadTierRecipients(tier);
+  } catch (error) {
+    console.error(`\n❌ ${error.message}`);
+    recipientList = null;
+  }
+  if (!recipientList || recipientList.length === 0) {
+    if (recipientList) console.error(`\n❌ No ${tier.label} recipients found.`);
+    console.error(`   ${tier.eligibility.hint || `Add recipients to ${tier.eligibility.file}`}\n`);
+    process.exit(1);
+  }
+
+  // Only the participants file has the validate script to fix it
+  const hasValidateScript = path.resolve(PROJECT_ROOT, tier.eligibility.file) === PARTICIPANTS_PATH;
+
+  // Validate recipient data
+  console.log(`\n🔍 Validating ${tier.label} recipient data...`);
+  const validation = validateAllParticipants(recipientList);
+
+  if (validation.errors.length > 0) {
+    console.error('\n❌ Validation errors found:');
+    validation.errors.slice(0, 10).forEach(err => console.error(`   • ${err}`));
+    if (validation.errors.length > 10) {
+      console.error(`   ... and ${validation.errors.length - 10} more errors`);
+    }
+    if (hasValidateScript) {
+      console.error('\n   Run `npm run validate` to see full report.');
+      console.error('   Run `npm run validate -- --fix` to auto-fix issues.\n');
+    } else {
+      console.error(`\n   Fix issues in ${tier.eligibility.file} before proceeding.\n`);
+    }
+    process.exit(1);
+  }
+
+  if (validation.duplicates.length > 0) {
+    console.error(`\n❌ ${validation.duplicates.length} duplicate wallet(s) found in ${tier.eligibility.file}.`);
+    console.error(hasValidateScript
+      ? '   Run `npm run validate -- --fix` to auto-remove duplicates.\n'
+      : '   Remove duplicates before proceeding.\n');
+    process.exit(1);
+  }
+
+  console.log(`   ✓ ${validation.summary.validEntries} valid entries`);
+
+  // Initialize Umi
+  const umi = createUmiClient();
+  const walletAddress = getWalletAddress(umi);
+  const balance = await getWalletBalance(umi);
+
+  // The signer must be the tree creator or delegate, and able to verify the collection
+  let authority;
+  try {
+    authority = await checkMintAuthority(umi, tierConfig.treeAddress, tierConfig.collectionMint || null);
+  } catch (error) {
+    console.error(`\n❌ ${error.message}`);
+    console.error('   Mint with the owner key, or ask the owner to run');
+    console.error(`   \`npm run tree-delegate -- set ${walletAddress}\`.\n`);
+    process.exit(1);
+  }
+
+  // Optional on-chain check so wallets that already hold this POAP are skipped
+  let holdings = null;
+  try {
+    holdings = createHoldingsLookup(umi, envConfig);
+    if (holdings) {
+      await holdings.findPoap(walletAddress, { trees: [tierConfig.treeAddress] });
+    }
+  } catch (error) {
+    console.error(`\n❌ Holdings check (${envConfig.holdingsCheck}) is not usable: ${error.message}`);
+    console.error('   Use a DAS-enabled RPC_URL, point HOLDINGS_FILE at a holdings file,');
+    console.error('   or set HOLDINGS_CHECK=off.\n');
+    process.exit(1);
+  }
+
+  // Rebuild progress from the write-ahead journal of any earlier run
+  const journalPath = getJournalPath(tier.slug, { network: envConfig.network, eventFile: event.file });
+  const { confirmed, unresolved } = await recoverFromJournal(umi, journalPath, recipientList);
+  const unresolvedWallets = new Set(unresolved.map(r => r.wallet));
+  const toMint = recipientList.filter(r => !unresolvedWallets.has(r.wallet));
+  const remainingCount = toMint.length - confirmed.length;
+
+  // Concurrency is capped by the tree's changelog buffer
+  const treeHeader = await fetchTreeHeader(umi, tierConfig.treeAddress);
+  const { maxBufferSize } = treeHeader;
+  const concurrency = getMintConcurrency(envConfig.mintConcurrency, maxBufferSize);
+
+  // Priority fee is priced against the tree, which every mint writes to
+  const computeBudget = await resolveComputeBudget(umi, envConfig, [tierConfig.treeAddress]);
+  const mintsPerTx = Math.max(1, envConfig.mintBatchSize);
+  const transactionCount = Math.ceil(remainingCount / mintsPerTx);
+  const fees = estimateFees(computeBudget, transactionCount, mintsPerTx);
+
+  // A full tree rolls over to a spare from config, or to a new tree
+  const trees = await createTreeAllocator(umi, tier.key, {
+    computeBudget,
+    onRollover: ({ from, to, created }) => {
+      console.log(`\n🌳 Tree ${shortenAddress(from)} is full - continuing in ${created ? 'new' : 'spare'} tree ${shortenAddress(to)}\n`);
+    }
+  });
+  const spareCount = (tierConfig.spareTrees || []).length;
+
+  // Estimate cost (~0.0001 SOL per mint for compressed NFTs, or the fee estimate if higher)
+  const estimatedCost = Math.max(remainingCount * 0.0001, fees.sol);
+
+  printHeader('', {
+    'Mode': isDryRun ? '🔍 DRY RUN' : '🚀 LIVE',
+    'Network': envConfig.network,
+    'Event': event.name,
+    'Wallet': walletAddress,
+    'Signer Role': `tree ${authority.role}${authority.collectionAuthorityRecord ? ', collection delegate' : ''}`,
+    'Balance': `${balance.toFixed(4)} SOL`,
+    'Recipients': recipientList.length,
+    'Already Minted': confirmed.length,
+    'Estimated Cost': `~${estimatedCost.toFixed(4)} SOL`,
+    'Collection': tierConfig.collectionMint ? shortenAddress(tierConfig.collectionMint) : 'none',
+    'Metadata': envConfig.personalizedMetadata.length > 0
+      ? `personalized (${envConfig.personalizedMetadata.join(', ')})`
+      : 'shared',
+    'Holdings Check': holdings ? holdings.name : 'off',
+    'Concurrency': concurrency > 1
+      ? `${concurrency} in flight (buffer ${maxBufferSize}, ${envConfig.rpcRateLimit || '∞'} tx/s)`
+      : 'sequential',
+    'Tree Capacity': `${trees.remaining.toLocaleString()} left${spareCount > 0 ? ` (+${spareCount} spare tree(s))` : ''}`,
+    'Batch Size': envConfig.mintBatchSize > 1 ? `up to ${envConfig.mintBatchSize} mints per tx` : 'off',
+    'Priority Fee': `${computeBudget.microLamports} µlamports/CU (${computeBudget.source})`
+  });
+
+  // Check balance
+  if (balance < estimatedCost + 0.01) {
+    console.warn('\n⚠️  Low balance warning!');
+    console.warn(`   Current: ${balance.toFixed(4)} SOL`);
+    console.warn(`   Estimated need: ${estimatedCost.toFixed(4)} SOL + buffer\n`);
+    if (!isDryRun) {
+      console.warn('   Add more SOL before proceeding.\n');
+    }
+  }
+
+  if (remainingCount > trees.remaining) {
+    console.warn(`\n⚠️  The current tree has room for ${trees.remaining} of ${remainingCount} mints.`);
+    if (spareCount > 0) {
+      console.warn('   Minting will continue in a spare tree from data/config.json when it fills.');
+    } else {
+      const newTreeCost = await fetchTreeCost(umi, treeHeader);
+      console.warn(`   A new tree will be created when it fills (${newTreeCost.sol.toFixed(4)} SOL rent).`);
+    }
+  }
+
+  if (!tierConfig.collectionMint) {
+    console.warn('\n⚠️  No collection configured - POAPs will not be grouped in a verified collection.');
+    console.warn('   Run `npm run create-collections` first to mint into a verified SSA collection.');
+  }
+
+  if (unresolved.length > 0) {
+    console.warn(`\n⚠️  ${unresolved.length} mint(s) from an earlier run may still land.`);
+    console.warn('   They are skipped this run. Re-run in a minute to settle them.');
+  }
+
+  if (remainingCount === 0) {
+    console.log(`\n✅ Nothing left to mint: ${confirmed.length} of ${recipientList.length} already minted (see ${journalPath}).\n`);
+    return null;
+  }
+
+  // Personalized metadata is built and checked now, before anything is spent
+  const personalized = envConfig.personalizedMetadata.length > 0;
+  let pendingMetadata = [];
+  if (personalized) {
+    if (!tierConfig.imageUri) {
+      console.error(`\n❌ Missing ${tier.key}.imageUri. Run \`node scripts/1-upload-assets.js\` first.\n`);
+      process.exit(1);
+    }
+
+    const mintedWallets = new Set(confirmed.map(r => r.wallet));
+    pendingMetadata = toMint.filter(r => !mintedWallets.has(r.wallet));
+
+    const metadataErrors = [
+      ...(envConfig.personalizedMetadata.includes('serial') ? checkRecipientSerials(recipientList) : []),
+      ...checkRecipientMetadata(buildTierMetadata(tier.metadata, tierConfig), pendingMetadata, envConfig.personalizedMetadata)
+    ];
+    if (metadataErrors.length > 0) {
+      console.error(`\n❌ Personalized metadata is invalid for ${metadataErrors.length} recipient(s):`);
+      metadataErrors.slice(0, 10).forEach(error => console.error(`   • ${error}`));
+      if (metadataErrors.length > 10) {
+        console.error(`   ... and ${metadataErrors.length - 10} more`);
+      }
+      console.error(`\n   Fix the tier in ${event.file} or the recipient data, or change PERSONALIZED_METADATA.\n`);
+      process.exit(1);
+    }
+  }
+
+  // Dry run mode - show preview and exit
+  if (isDryRun) {
+    console.log('\n📋 DRY RUN PREVIEW:');
+    console.log('─'.repeat(50));
+    console.log(`\n   Would mint ${remainingCount} ${tier.label} POAPs`);
+    console.log(`   Tree: ${shortenAddress(tierConfig.treeAddress)}`);
+    console.log(personalized
+      ? `   Metadata: one per recipient from ${envConfig.personalizedMetadata.join(', ')} (checked; uploaded before minting)`
+      : `   Metadata: ${tierConfig.metadataUri}`);
+    console.log(`\n   Estimated fees: ~${fees.sol.toFixed(6)} SOL over ${transactionCount} transaction(s)`);
+    console.log(`   (${fees.priorityLamportsPerTx} lamports priority + ${BASE_FEE_LAMPORTS} base per transaction)`);
+    console.log('\n   First 5 recipients:');
+    recipientList.slice(0, 5).forEach(r => {
+      const txs = r.transactionCount !== undefined ? `, ${r.transactionCount} txs` : '';
+      console.log(`   • ${r.name || 'Unknown'} (${shortenAddress(r.wallet)}${txs})`);
+    });
+    if (recipientList.length > 5) {
+      console.log(`   ... and ${recipientList.length - 5} more`);
+    }
+    console.log('\n' + '─'.repeat(50));
+    console.log('✅ Dry run complete. Remove --dry-run flag to mint for real.\n');
+    return null;
+  }
+
+  // Mainnet safety check
+  if (envConfig.network === 'mainnet-beta') {
+    console.log('\n' + '⚠️'.repeat(25));
+    console.log('   MAINNET MINTING - This will cost real SOL!');
+    console.log('⚠️'.repeat(25));
+  }
+
+  // Confirm
+  const proceed = await confirm('\nContinue with minting?');
+  if (!proceed) {
+    console.log('\n❌ Cancelled.\n');
+    return null;
+  }
+
+  // Personalized metadata is uploaded now, once per distinct document
+  let recipients = toMint;
+  if (personalized) {
+    console.log(`\n📤 Uploading personalized metadata (${envConfig.personalizedMetadata.join(', ')})...`);
+    try {
+      const prepared = await uploadRecipientMetadata(
+        umi,
+        buildTierMetadata(tier.metadata, tierConfig),
+        pendingMetadata,
+        envConfig.personalizedMetadata,
+        (uploaded, total) => process.stdout.write(`\r   ${uploaded}/${total} uploaded`)
+      );
+      console.log(`\n   ✅ ${prepared.uploaded} uploaded, ${prepared.reused} reused`);
+      recipients = prepared.recipients;
+    } catch (error) {
+      console.error(`\n❌ Metadata upload failed: ${error.message}`);
+      console.error('   Already uploaded documents are cached; re-run to continue.\n');
+      process.exit(1);
+    }
+  }
+
+  console.log(`\n📤 Minting ${tier.label} POAPs...\n`);
+
+  // Progress callback
+  const onProgress = (current, total, result) => {
+    const name = result.recipient.name || 'Unknown';
+    const wallet = shortenAddress(result.recipient.wallet);
+
+    if (result.skipped) {
+      console.log(`[${current}/${total}] ⏭️  ${name} (${wallet}) - already holds this POAP`);
+    } else if (result.success) {
+      console.log(`[${current}/${total}] ✅ ${name} (${wallet})`);
+    } else {
+      const kind = result.errorKind ? ` [${result.errorKind}]` : '';
+      console.log(`[${current}/${total}] ❌ ${name}${kind} - ${result.error}`);
+    }
+  };
+
+  try {
+    const startTime = Date.now();
+    const { successful, failed } = await resumeMinting(
+      umi,
+      tierConfig.treeAddress,
+      tierConfig.metadataUri,
+      recipients,
+      confirmed,
+      {
+        name: tier.metadata.name,
+        symbol: tier.metadata.symbol,
+        collection: tierConfig.collectionMint || null,
+        creator: authority.collectionAuthority,
+        collectionAuthorityRecord: authority.collectionAuthorityRecord
+      },
+      onProgress,
+      {
+        concurrency,
+        maxBufferSize,
+        rateLimit: envConfig.rpcRateLimit,
+        batchSize: envConfig.mintBatchSize,
+        computeBudget,
+        trees,
+        journalPath,
+        holdings
+      }
+    );
+
+    const duration = ((Date.now() - startTime) / 1000).toFixed(1);
+    const endBalance = await getWalletBalance(umi);
+
+    // Save results
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const resultsFile = `${tier.slug}-${timestamp}.json`;
+    const resultsPath = saveResults(resultsFile, {
+      type: tier.key,
+      event: event.name,
+      network: envConfig.network,
+      treeAddress: tierConfig.treeAddress,
+      trees: trees.trees,
+      metadataUri: tierConfig.metadataUri,
+      collectionMint: tierConfig.collectionMint || null,
+      successful,
+      failed,
+      unresolved,
+      stats: {
+        total: recipientList.length,
+        successful: successful.length,
+        alreadyHeld: successful.filter(s => s.alreadyHeld).length,
+        failed: failed.length,
+        unresolved: unresolved.length,
+        duration: `${duration}s`
+      }
+    });
+
+    printSummary('📊 MINTING SUMMARY', {
+      '✅ Successful': successful.length,
+      '⏭️  Already Held': successful.filter(s => s.alreadyHeld).length,
+      '❌ Failed': failed.length,
+      'Duration': `${duration}s`,
+      'Cost': `${(balance - endBalance).toFixed(4)} SOL`
+    });
+
+    console.log(`\n💾 Results saved to ${resultsPath}`);
+    console.log(`   Journal: ${journalPath}`);
+
+    if (failed.length > 0) {
+      const mayHaveLanded = failed.filter(f => f.errorKind === 'unknown-landed').length;
+      console.log('\n⚠️  Some mints failed. Check results file for details.');
+      console.log('   Re-run this script to retry them; confirmed mints are skipped.');
+      if (mayHaveLanded > 0) {
+        console.log(`   ${mayHaveLanded} of them may still have landed; the re-run checks them on-chain first.`);
+      }
+    }
+
+    const next = event.tiers[event.tiers.indexOf(tier) + 1];
+    if (next) {
+      console.log(`\n✨ Done! Run \`npm run mint -- ${next.key}\` for ${next.label} POAPs.\n`);
+    } else {
+      console.log('\n✨ All done! POAP distribution complete.');
+      console.log('   Run `npm run send-emails` to notify your recipients.\n');
+    }
+
+    return { successful, failed };
+
+  } catch (error) {
+    console.error('\n❌ Minting failed:', error.message);
+    process.exit(1);
+  }
+}
@@ -1,6 +1,83 @@
-import { publicKey } from '@metaplex-foundation/umi';
-import { mintV1 } from '@metaplex-foundation/mpl-bubblegum';
-import { delay, isValidSolanaAddress } from './utils.js';
+import { publicKey, generateSigner, transactionBuilder } from '@metaplex-foundation/umi';
+import { mintV1, mintToCollectionV1, parseLeafFromMintV1Transaction, parseLeafFromMintToCollectionV1Transaction } from '@metaplex-foundation/mpl-bubblegum';
+import { DEFAULT_MAX_BUFFER_SIZE } from './merkle-tree.js';
+import { appendJournalEntry, JOURNAL_STATUS } from './journal.js';
+import { extractMintedLeaf, extractMintedLeaves } from './leaf.js';
+import { getOrCreateLookupTable } from './lookup-table.js';
+import { withComputeBudget, MAX_COMPUTE_UNIT_LIMIT } from './fees.js';
+import { sendAndConfirm, mayHaveLanded } from './send.js';
+import { createFixedTreeAllocator } from './tree-allocator.js';
+import { delay, isValidSolanaAddress, createRateLimiter, mapWithConcurrency } from './utils.js';
+
+/**
+ * Build the mint instruction for one recipient
+ * With a collection, mints through mintToCollectionV1 so the POAP is a
+ * verified member of the collection. The creator is the collection's
+ * authority (metadata.creator), verified only when it is the signer, so
+ * POAPs minted by a delegate don't name the delegate as their creator.
+ * Without a collection, falls back to a plain mintV1.
+ * @param {import('@metaplex-foundation/umi').Umi} umi - Umi instance
+ * @param {string} treeAddress - Merkle tree public key
+ * @param {string} metadataUri - URI to NFT metadata
+ * @param {string} recipient - Recipient wallet address
+ * @param {object} metadata - NFT metadata (name, symbol, collection, creator, and collectionAuthorityRecord for delegates)
+ * @returns {import('@metaplex-foundation/umi').TransactionBuilder} Mint transaction builder
+ */
+export function buildMintInstruction(umi, treeAddress, metadataUri, recipient, metadata = {}) {
+  const leafMetadata = {
+    name: metadata.name || 'SSA POAP',
+    symbol: metadata.symbol || 'SSAP',
+    uri: metadataUri,
+    sellerFeeBasisPoints: 0
+  };
+
+  if (!metadata.collection) {
+    return mintV1(umi, {
+      leafOwner: publicKey(recipient),
+      merkleTree: publicKey(treeAddress),
+      metadata: {
+        ...leafMetadata,
+        collection: null,
+        creators: []
+      }
+    });
+  }
+
+  const creator = metadata.creator ? publicKey(metadata.creator) : umi.identity.publicKey;
+
+  return mintToCollectionV1(umi, {
+    leafOwner: publicKey(recipient),
+    merkleTree: publicKey(treeAddress),
+    collectionMint: publicKey(metadata.collection),
+    // Delegated operators verify the collection through their authority record
+    ...(metadata.collectionAuthorityRecord && {
+      collectionAuthorityRecordPda: publicKey(metadata.collectionAuthorityRecord)
+    }),
+    metadata: {
+      ...leafMetadata,
+      collection: { key: publicKey(metadata.collection), verified: false },
+      creators: [{ address: creator, verified: creator === umi.identity.publicKey, share: 100 }]
+    }
+  });
+}
+
+/**
+ * Look up an existing POAP for this tier in the recipient's wallet
+ * @param {object|null} holdings - Holdings lookup (see holdings.js), or null to skip
+ * @param {Array<string>} trees - Every tree this tier has minted into
+ * @param {string} recipient - Recipient wallet address
+ * @param {string} metadataUri - Metadata URI this mint would use
+ * @param {object} metadata - NFT metadata (optional collection mint)
+ * @returns {Promise<object|null>} Existing asset, or null
+ */
+async function findExistingPoap(holdings, trees, recipient, metadataUri, metadata = {}) {
+  if (!holdings) return null;
+  return holdings.findPoap(recipient, {
+    trees,
+    collection: metadata.collection || null,
+    uri: metadataUri
+  });
+}
 
 /**
  * Mint a compressed NFT to a recipient
@@ -8,87 +85,469 @@ import { delay, isValidSolanaAddress } from './utils.js';
  * @param {string} treeAddress - Merkle tree public key
  * @param {string} metadataUri - URI to NFT metadata
  * @param {string} recipient - Recipient wallet address
- * @param {object} metadata - NFT metadata (name, symbol)
- * @returns {Promise<{signature: string}>} Transaction signature
+ * @param {object} metadata - NFT metadata (name, symbol, and optional collection mint)
+ * @param {object} options - Mint options
+ * @param {function} options.onSigned - Called with {signature, lastValidBlockHeight, attempt} before each broadcast
+ * @param {object} options.holdings - Holdings lookup (see holdings.js); skips wallets that already hold the POAP
+ * @param {object} options.computeBudget - Compute-unit limit and priority fee (see fees.js)
+ * @returns {Promise<{signature: string|null, leafIndex: number|null, assetId: string|null, alreadyHeld?: boolean}>}
+ *   Transaction signature and minted asset, or the existing asset when the recipient already holds this POAP
  */
-export async function mintCompressedNFT(umi, treeAddress, metadataUri, recipient, metadata = {}) {
+export async function mintCompressedNFT(umi, treeAddress, metadataUri, recipient, metadata = {}, options = {}) {
   // Validate recipient address
   if (!isValidSolanaAddress(recipient)) {
     throw new Error(`Invalid wallet address: ${recipient}`);
   }
 
-  const builder = mintV1(umi, {
-    leafOwner: publicKey(recipient),
-    merkleTree: publicKey(treeAddress),
-    metadata: {
-      name: metadata.name || 'SSA POAP',
-      symbol: metadata.symbol || 'SSAP',
-      uri: metadataUri,
-      sellerFeeBasisPoints: 0,
-      collection: null,
-      creators: []
+  // Never mint twice: ask the chain (or its stand-in) first
+  const existing = await findExistingPoap(options.holdings, [treeAddress], recipient, metadataUri, metadata);
+  if (existing) {
+    return { signature: null, leafIndex: existing.leafIndex ?? null, assetId: existing.id, alreadyHeld: true };
+  }
+
+  const builder = withComputeBudget(
+    umi,
+    buildMintInstruction(umi, treeAddress, metadataUri, recipient, metadata),
+    options.computeBudget
+  );
+  const signature = await sendAndConfirm(umi, builder, { onSigned: options.onSigned });
+
+  // The mint has landed; a missing leaf only costs us the deep link
+  try {
+    const parseLeaf = metadata.collection ? parseLeafFromMintToCollectionV1Transaction : parseLeafFromMintV1Transaction;
+    const { leafIndex, assetId } = await extractMintedLeaf(umi, treeAddress, signature, parseLeaf);
+    return { signature, leafIndex, assetId };
+  } catch (error) {
+    return { signature, leafIndex: null, assetId: null, leafError: error.message };
+  }
+}
+
+/**
+ * Work out how many mints may be in flight at once
+ * Concurrent updates beyond the tree's changelog buffer would invalidate
+ * each other's proofs, so the buffer size is a hard ceiling.
+ * @param {number} requested - Requested concurrency
+ * @param {number} maxBufferSize - Tree's maxBufferSize
+ * @returns {number} Effective concurrency (at least 1)
+ */
+export function getMintConcurrency(requested = 1, maxBufferSize = DEFAULT_MAX_BUFFER_SIZE) {
+  const wanted = Math.max(1, Math.floor(requested) || 1);
+  return Math.min(wanted, Math.max(1, maxBufferSize));
+}
+
+/**
+ * Collect the accounts every mint instruction for this tree shares
+ * Two sample instructions with different recipients are compared; whatever
+ * they have in common (tree, tree authority, programs, collection accounts)
+ * is what an Address Lookup Table can compress.
+ * @param {import('@metaplex-foundation/umi').Umi} umi - Umi instance
+ * @param {string} treeAddress - Merkle tree public key
+ * @param {object} metadata - NFT metadata (optional collection mint)
+ * @returns {Array<import('@metaplex-foundation/umi').PublicKey>} Shared non-signer accounts
+ */
+export function getSharedMintAccounts(umi, treeAddress, metadata = {}) {
+  const keysFor = (recipient) => buildMintInstruction(umi, treeAddress, '', recipient, metadata)
+    .getInstructions()
+    .flatMap(ix => ix.keys)
+    .filter(key => !key.isSigner)
+    .map(key => key.pubkey.toString());
+
+  const first = keysFor(generateSigner(umi).publicKey.toString());
+  const second = new Set(keysFor(generateSigner(umi).publicKey.toString()));
+
+  return [...new Set(first.filter(key => second.has(key)))].map(key => publicKey(key));
+}
+
+/**
+ * Split recipients into transactions holding as many mints as fit
+ * @param {import('@metaplex-foundation/umi').Umi} umi - Umi instance
+ * @param {string} treeAddress - Merkle tree public key
+ * @param {string} metadataUri - URI to NFT metadata, unless a recipient has its own metadataUri
+ * @param {Array<{wallet: string, metadataUri?: string}>} recipients - Recipients to pack
+ * @param {object} metadata - NFT metadata (name, symbol, and optional collection mint)
+ * @param {object} lookupTable - Address Lookup Table input for the shared accounts
+ * @param {number} batchSize - Maximum mints per transaction
+ * @param {object} computeBudget - Compute budget the transactions will carry (see fees.js)
+ * @returns {Array<Array<{wallet: string}>>} Recipients grouped per transaction
+ */
+export function packMintBatches(umi, treeAddress, metadataUri, recipients, metadata, lookupTable, batchSize, computeBudget = null) {
+  const batches = [];
+  let batch = [];
+  let builder = transactionBuilder().setAddressLookupTables([lookupTable]);
+
+  // Size each candidate with its compute budget instructions included,
+  // and keep the per-mint compute limit within the transaction maximum
+  const fits = (candidate, count) => withComputeBudget(umi, candidate, computeBudget, count).fitsInOneTransaction(umi);
+  const maxMints = computeBudget?.unitsPerInstruction
+    ? Math.max(1, Math.min(batchSize, Math.floor(MAX_COMPUTE_UNIT_LIMIT / computeBudget.unitsPerInstruction)))
+    : batchSize;
+
+  for (const recipient of recipients) {
+    const candidate = builder.add(buildMintInstruction(umi, treeAddress, recipient.metadataUri || metadataUri, recipient.wallet, metadata));
+
+    if (batch.length > 0 && (batch.length >= maxMints || !fits(candidate, batch.length + 1))) {
+      batches.push(batch);
+      batch = [recipient];
+      builder = transactionBuilder()
+        .setAddressLookupTables([lookupTable])
+        .add(buildMintInstruction(umi, treeAddress, recipient.metadataUri || metadataUri, recipient.wallet, metadata));
+    } else {
+      batch.push(recipient);
+      builder = candidate;
     }
+  }
+
+  if (batch.length > 0) {
+    batches.push(batch);
+  }
+
+  return batches;
+}
+
+/**
+ * Mint compressed NFTs to several recipients in a single transaction
+ * The transaction is atomic: either every recipient is minted or none are.
+ * @param {import('@metaplex-foundation/umi').Umi} umi - Umi instance
+ * @param {string} treeAddress - Merkle tree public key
+ * @param {string} metadataUri - URI to NFT metadata
+ * @param {Array<string>} wallets - Recipient wallet addresses
+ * @param {object} metadata - NFT metadata (name, symbol, and optional collection mint)
+ * @param {object} options - Mint options
+ * @param {object} options.lookupTable - Address Lookup Table input for the shared accounts
+ * @param {Array<string>} options.metadataUris - Per-wallet metadata URIs, overriding metadataUri
+ * @param {function} options.onSigned - Called with {signature, lastValidBlockHeight, attempt} before each broadcast
+ * @param {object} options.computeBudget - Compute-unit limit and priority fee (see fees.js)
+ * @returns {Promise<{signature: string, leaves: Array<{leafIndex: number|null, assetId: string|null}>, leafError?: string}>}
+ *   Transaction signature and one minted asset per wallet, in order
+ */
+export async function mintCompressedNFTBatch(umi, treeAddress, metadataUri, wallets, metadata = {}, options = {}) {
+  const invalid = wallets.find(wallet => !isValidSolanaAddress(wallet));
+  if (invalid) {
+    throw new Error(`Invalid wallet address: ${invalid}`);
+  }
+
+  let builder = transactionBuilder();
+  if (options.lookupTable) {
+    builder = builder.setAddressLookupTables([options.lookupTable]);
+  }
+  wallets.forEach((wallet, i) => {
+    builder = builder.add(buildMintInstruction(umi, treeAddress, options.metadataUris?.[i] || metadataUri, wallet, metadata));
   });
 
-  const result = await builder.sendAndConfirm(umi);
+  builder = withComputeBudget(umi, builder, options.computeBudget, wallets.length);
 
-  return {
-    signature: Buffer.from(result.signature).toString('base64')
-  };
+  const signature = await sendAndConfirm(umi, builder, { onSigned: options.onSigned });
+
+  // The mints have landed; missing leaves only cost us the deep links
+  try {
+    const leaves = await extractMintedLeaves(umi, treeAddress, signature);
+    return { signature, leaves };
+  } catch (error) {
+    return {
+      signature,
+      leaves: wallets.map(() => ({ leafIndex: null, assetId: null })),
+      leafError: error.message
+    };
+  }
 }
 
 /**
  * Mint compressed NFTs to multiple recipients
  * @param {import('@metaplex-foundation/umi').Umi} umi - Umi instance
  * @param {string} treeAddress - Merkle tree public key
- * @param {string} metadataUri - URI to NFT metadata
- * @param {Array<{wallet: string, name?: string}>} recipients - Array of recipient objects
+ * @param {string} metadataUri - URI to NFT metadata, unless a recipient has its own metadataUri
+ * @param {Array<{wallet: string, name?: string, metadataUri?: string}>} recipients - Array of recipient objects
  * @param {object} metadata - NFT metadata (name, symbol)
  * @param {function} onProgress - Progress callback (current, total, result)
- * @returns {Promise<{successful: Array, failed: Array}>} Results
+ * @param {object} options - Minting options
+ * @param {number} options.concurrency - Mints to keep in flight (default: 1, one at a time)
+ * @param {number} options.maxBufferSize - Tree's maxBufferSize, caps concurrency
+ * @param {number} options.rateLimit - Maximum transactions started per second (concurrent and batch modes)
+ * @param {number} options.batchSize - Maximum mints packed into one transaction (default: 1, no batching)
+ * @param {string} options.journalPath - Write-ahead journal to log each recipient's progress to
+ * @param {object} options.holdings - Holdings lookup; wallets already holding this tier's POAP are skipped
+ * @param {object} options.trees - Tree allocator (see tree-allocator.js); defaults to treeAddress alone with no rollover
+ * @param {object} options.computeBudget - Compute-unit limit and priority fee for every mint transaction (see fees.js)
+ * @returns {Promise<{successful: Array, failed: Array}>} Results; each minted entry records its treeAddress
  */
-export async function mintToMany(umi, treeAddress, metadataUri, recipients, metadata = {}, onProgress = null) {
+export async function mintToMany(umi, treeAddress, metadataUri, recipients, metadata = {}, onProgress = null, options = {}) {
   const successful = [];
   const failed = [];
   const total = recipients.length;
+  const concurrency = getMintConcurrency(options.concurrency, options.maxBufferSize);
+  const batchSize = Math.max(1, Math.floor(options.batchSize) || 1);
+  const trees = options.trees || createFixedTreeAllocator(treeAddress);
+  let completed = 0;
 
-  for (let i = 0; i < recipients.length; i++) {
-    const recipient = recipients[i];
-    const current = i + 1;
+  const journal = (entry) => {
+    if (options.journalPath) {
+      appendJournalEntry(options.journalPath, entry);
+    }
+  };
 
-    try {
-      const result = await mintCompressedNFT(
-        umi,
-        treeAddress,
-        metadataUri,
-        recipient.wallet,
-        metadata
-      );
+  const minted = (recipient, result) => {
+    const asset = { treeAddress: result.treeAddress, leafIndex: result.leafIndex, assetId: result.assetId };
+
+    if (result.alreadyHeld) {
+      journal({ wallet: recipient.wallet, status: JOURNAL_STATUS.CONFIRMED, alreadyHeld: true, ...asset });
+
+      return {
+        success: true,
+        entry: {
+          ...recipient,
+          signature: null,
+          ...asset,
+          alreadyHeld: true,
+          mintedAt: null
+        }
+      };
+    }
 
-      successful.push({
+    journal({ wallet: recipient.wallet, status: JOURNAL_STATUS.CONFIRMED, signature: result.signature, ...asset });
+
+    return {
+      success: true,
+      entry: {
         ...recipient,
         signature: result.signature,
+        ...asset,
+        ...(result.leafError ? { leafError: result.leafError } : {}),
         mintedAt: new Date().toISOString()
-      });
-
-      if (onProgress) {
-        onProgress(current, total, { success: true, recipient, signature: result.signature });
       }
-    } catch (error) {
-      failed.push({
+    };
+  };
+
+  const notMinted = (recipient, error, signature = null, tree = null) => {
+    // A mint that may still land stays "sent" for journal recovery to
+    // settle against the chain
+    const status = mayHaveLanded(error, signature) ? JOURNAL_STATUS.SENT : JOURNAL_STATUS.FAILED;
+    journal({ wallet: recipient.wallet, status, treeAddress: tree, signature, error: error.message, errorKind: error.kind || null });
+
+    return {
+      success: false,
+      entry: {
         ...recipient,
         error: error.message,
+        errorKind: error.kind || null,
         failedAt: new Date().toISOString()
-      });
+      }
+    };
+  };
+
+  // Progress is reported in completion order
+  const report = (recipient, outcome) => {
+    completed++;
+    if (onProgress) {
+      if (outcome.success && outcome.entry.alreadyHeld) {
+        onProgress(completed, total, { success: true, skipped: true, recipient, assetId: outcome.entry.assetId });
+      } else if (outcome.success) {
+        onProgress(completed, total, { success: true, recipient, signature: outcome.entry.signature, assetId: outcome.entry.assetId });
+      } else {
+        onProgress(completed, total, { success: false, recipient, error: outcome.entry.error, errorKind: outcome.entry.errorKind });
+      }
+    }
+    return outcome;
+  };
+
+  // Invalid addresses and existing holders are settled before a tree slot is taken
+  const precheck = async (recipient) => {
+    try {
+      if (!isValidSolanaAddress(recipient.wallet)) {
+        throw new Error(`Invalid wallet address: ${recipient.wallet}`);
+      }
+
+      const existing = await findExistingPoap(options.holdings, trees.trees, recipient.wallet, metadata);
+      if (!existing) return null;
+
+      journal({ wallet: recipient.wallet, status: JOURNAL_STATUS.PENDING });
+      return report(recipient, minted(recipient, {
+        treeAddress: existing.tree || null,
+        leafIndex: existing.leafIndex ?? null,
+        assetId: existing.id,
+        alreadyHeld: true
+      }));
+    } catch (error) {
+      journal({ wallet: recipient.wallet, status: JOURNAL_STATUS.PENDING });
+      return report(recipient, notMinted(recipient, error));
+    }
+  };
+
+  const mintOne = async (recipient) => {
+    const settled = await precheck(recipient);
+    if (settled) return settled;
+
+    let signature = null;
+    let tree = null;
 
-      if (onProgress) {
-        onProgress(current, total, { success: false, recipient, error: error.message });
+    try {
+      tree = await trees.allocate(1);
+      journal({ wallet: recipient.wallet, status: JOURNAL_STATUS.PENDING, treeAddress: tree });
+
+      const result = await mintCompressedNFT(
+        umi,
+        tree,
+        recipient.metadataUri || metadataUri,
+        recipient.wallet,
+        metadata,
+        {
+          computeBudget: options.computeBudget,
+          onSigned: (signed) => {
+            signature = signed.signature;
+            journal({ wallet: recipient.wallet, status: JOURNAL_STATUS.SENT, treeAddress: tree, ...signed });
+          }
+        }
+      );
+      trees.confirm(tree, 1);
+      return report(recipient, minted(recipient, { ...result, treeAddress: tree }));
+    } catch (error) {
+      if (tree) {
+        if (mayHaveLanded(error, signature)) trees.confirm(tree, 1);
+        else trees.release(tree, 1);
+      } else {
+        journal({ wallet: recipient.wallet, status: JOURNAL_STATUS.PENDING });
+      }
+      return report(recipient, notMinted(recipient, error, signature, tree));
+    }
+  };
+
+  const mintInBatches = async () => {
+    const byRecipient = new Map();
+    const toMint = [];
+
+    for (const recipient of recipients) {
+      const settled = await precheck(recipient);
+      if (settled) {
+        byRecipient.set(recipient, settled);
+      } else {
+        toMint.push(recipient);
+      }
+    }
+
+    if (toMint.length > 0) {
+      // One lookup table per tree, shared by concurrent batches
+      const lookupTables = new Map();
+      const getLookupTable = (tree) => {
+        if (!lookupTables.has(tree)) {
+          lookupTables.set(tree, getOrCreateLookupTable(umi, tree, getSharedMintAccounts(umi, tree, metadata), {
+            computeBudget: options.computeBudget
+          }));
+        }
+        return lookupTables.get(tree);
+      };
+
+      // Every tree's shared accounts take the same space, so pack against the current one
+      const batches = packMintBatches(
+        umi,
+        trees.current,
+        metadataUri,
+        toMint,
+        metadata,
+        await getLookupTable(trees.current),
+        batchSize,
+        options.computeBudget
+      );
+
+      // Keep the total number of leaves in flight within the concurrency cap
+      const batchConcurrency = Math.max(1, Math.floor(concurrency / batchSize));
+      const acquire = createRateLimiter(options.rateLimit);
+
+      const mintBatch = async (batch) => {
+        let signature = null;
+        let tree = null;
+
+        try {
+          await acquire();
+          tree = await trees.allocate(batch.length);
+
+          for (const recipient of batch) {
+            journal({ wallet: recipient.wallet, status: JOURNAL_STATUS.PENDING, treeAddress: tree });
+          }
+
+          const result = await mintCompressedNFTBatch(
+            umi,
+            tree,
+            metadataUri,
+            batch.map(r => r.wallet),
+            metadata,
+            {
+              lookupTable: await getLookupTable(tree),
+              metadataUris: batch.map(r => r.metadataUri),
+              computeBudget: options.computeBudget,
+              onSigned: (signed) => {
+                signature = signed.signature;
+                batch.forEach((recipient, batchIndex) => {
+                  journal({ wallet: recipient.wallet, status: JOURNAL_STATUS.SENT, treeAddress: tree, batchIndex, ...signed });
+                });
+              }
+            }
+          );
+          trees.confirm(tree, batch.length);
+
+          return batch.map((recipient, i) => report(recipient, minted(recipient, {
+            signature: result.signature,
+            treeAddress: tree,
+            ...(result.leaves[i] || { leafIndex: null, assetId: null }),
+            leafError: result.leafError
+          })));
+        } catch (error) {
+          const landed = mayHaveLanded(error, signature);
+          if (tree) {
+            if (landed) trees.confirm(tree, batch.length);
+            else trees.release(tree, batch.length);
+          } else {
+            for (const recipient of batch) {
+              journal({ wallet: recipient.wallet, status: JOURNAL_STATUS.PENDING });
+            }
+          }
+
+          // A transaction that may still land can't be split and retried
+          if (batch.length > 1 && tree && !landed) {
+            const middle = Math.ceil(batch.length / 2);
+            return [
+              ...await mintBatch(batch.slice(0, middle)),
+              ...await mintBatch(batch.slice(middle))
+            ];
+          }
+
+          return batch.map(recipient => report(recipient, notMinted(recipient, error, signature, tree)));
+        }
+      };
+
+      const batchOutcomes = (await mapWithConcurrency(batches, batchConcurrency, mintBatch)).flat();
+      batches.flat().forEach((recipient, i) => byRecipient.set(recipient, batchOutcomes[i]));
+    }
+
+    return recipients.map(recipient => byRecipient.get(recipient));
+  };
+
+  let outcomes;
+
+  if (batchSize > 1) {
+    outcomes = await mintInBatches();
+  } else if (concurrency > 1) {
+    const acquire = createRateLimiter(options.rateLimit);
+    outcomes = await mapWithConcurrency(recipients, concurrency, async (recipient) => {
+      await acquire();
+      return mintOne(recipient);
+    });
+  } else {
+    outcomes = [];
+    for (let i = 0; i < recipients.length; i++) {
+      outcomes.push(await mintOne(recipients[i]));
+
+      // Add delay between mints to avoid rate limiting
+      if (i < recipients.length - 1) {
+        await delay(500);
       }
     }
+  }
 
-    // Add delay between mints to avoid rate limiting
-    if (i < recipients.length - 1) {
-      await delay(500);
+  // Keep results in recipient order regardless of completion order
+  for (const outcome of outcomes) {
+    if (outcome.success) {
+      successful.push(outcome.entry);
+    } else {
+      failed.push(outcome.entry);
     }
   }
 
@@ -96,7 +555,7 @@ export async function mintToMany(umi, treeAddress, metadataUri, recipients, meta
 }
 
 /**
- * Resume minting from a previous results file
+ * Resume minting from a previous run
  * Skips recipients that were already successfully minted
  * @param {import('@metaplex-foundation/umi').Umi} umi - Umi instance
  * @param {string} treeAddress - Merkle tree public key
@@ -105,16 +564,19 @@ export async function mintToMany(umi, treeAddress, metadataUri, recipients, meta
  * @param {Array} previousSuccessful - Previously successful mints
  * @param {object} metadata - NFT metadata
  * @param {function} onProgress - Progress callback
+ * @param {object} options - Minting options (see mintToMany)
  * @returns {Promise<{successful: Array, failed: Array}>} Combined results
  */
-export async function resumeMinting(umi, treeAddress, metadataUri, recipients, previousSuccessful, metadata = {}, onProgress = null) {
+export async function resumeMinting(umi, treeAddress, metadataUri, recipients, previousSuccessful, metadata = {}, onProgress = null, options = {}) {
   // Create set of already-minted wallets
   const mintedWallets = new Set(previousSuccessful.map(p => p.wallet));
 
   // Filter to only unminted recipients
   const remaining = recipients.filter(r => !mintedWallets.has(r.wallet));
 
-  console.log(`\n📋 Resuming: ${previousSuccessful.length} already minted, ${remaining.length} remaining\n`);
+  if (previousSuccessful.length > 0) {
+    console.log(`\n📋 Resuming: ${previousSuccessful.length} already minted, ${remaining.length} remaining\n`);
+  }
 
   // Mint remaining
   const { successful, failed } = await mintToMany(
@@ -123,7 +585,8 @@ export async function resumeMinting(umi, treeAddress, metadataUri, recipients, p
     metadataUri,
     remaining,
     metadata,
-    onProgress
+    onProgress,
+    options
   );
 
   // Combine with previous successful
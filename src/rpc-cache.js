@@ -0,0 +1,122 @@
+/**
+ * On-disk RPC cache for builder verification
+ *
+ * Signature pages and parsed transactions are saved under data/rpc-cache/,
+ * split by network, so re-running verification with a different date
+ * window or rules is answered from disk instead of the RPC:
+ * - signatures/<address>/<cursor>.json: one page of getSignaturesForAddress,
+ *   keyed by its `before` cursor ("head" for the newest page)
+ * - transactions/<signature>.json: one parsed transaction
+ *
+ * Pages behind a cursor and landed transactions don't change, so they never
+ * expire. The head page does, as new transactions arrive; it is only reused
+ * when it was fetched after `headFreshAfter` (e.g. the end of the tour).
+ *
+ * Cached transactions are plain JSON, so addresses in them are strings
+ * rather than PublicKeys.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { loadJson, saveJson, DATA_DIR } from './utils.js';
+
+const RPC_CACHE_DIR = path.join(DATA_DIR, 'rpc-cache');
+
+/**
+ * Create a cache for one network
+ * @param {object} options - Cache options
+ * @param {string} options.network - Network the responses come from
+ * @param {string} options.directory - Cache root (default: data/rpc-cache)
+ * @returns {object} Cache with get/save methods, and hit/miss counts in `stats`
+ */
+export function createRpcCache({ network, directory = RPC_CACHE_DIR }) {
+  const root = path.join(directory, network);
+  const stats = { hits: 0, misses: 0 };
+
+  const read = (filepath) => (fs.existsSync(filepath) ? loadJson(filepath) : null);
+
+  const pagePath = (address, before) => path.join(root, 'signatures', address, `${before || 'head'}.json`);
+  const transactionPath = (signature) => path.join(root, 'transactions', `${signature}.json`);
+
+  return {
+    stats,
+
+    /**
+     * @param {string} address - Address the page belongs to
+     * @param {string|undefined} before - Page cursor
+     * @returns {{signatures: Array<object>, fetchedAt: string}|null} Cached page
+     */
+    getSignaturePage: (address, before) => read(pagePath(address, before)),
+
+    saveSignaturePage: (address, before, signatures) =>
+      saveJson(pagePath(address, before), { signatures, fetchedAt: new Date().toISOString() }),
+
+    /**
+     * @param {string} signature - Transaction signature
+     * @returns {object|null} Cached parsed transaction
+     */
+    getTransaction: (signature) => read(transactionPath(signature)),
+
+    saveTransaction: (signature, transaction) => saveJson(transactionPath(signature), transaction)
+  };
+}
+
+/**
+ * Wrap a connection with the cache and a rate limiter
+ * Returns the subset of Connection that verification uses. Only real RPC
+ * calls wait on the limiter; cache hits return at once.
+ * @param {import('@solana/web3.js').Connection} connection - Solana connection
+ * @param {object} options - Options
+ * @param {object|null} options.cache - Cache from createRpcCache (null disables caching)
+ * @param {function} options.acquire - Rate limiter (see createTokenBucket)
+ * @param {Date|null} options.headFreshAfter - Reuse cached newest pages fetched after this
+ * @returns {object} Connection-like object
+ */
+export function createCachedConnection(connection, { cache = null, acquire = async () => {}, headFreshAfter = null }) {
+  return {
+    async getSignaturesForAddress(address, options = {}) {
+      const key = address.toBase58();
+      const cached = cache?.getSignaturePage(key, options.before);
+      if (cached && (options.before || (headFreshAfter && new Date(cached.fetchedAt) > headFreshAfter))) {
+        cache.stats.hits++;
+        return cached.signatures;
+      }
+
+      if (cache) cache.stats.misses++;
+      await acquire();
+      const signatures = await connection.getSignaturesForAddress(address, options);
+      cache?.saveSignaturePage(key, options.before, signatures);
+      return signatures;
+    },
+
+    async getParsedTransactions(signatures, options) {
+      const results = signatures.map(signature => cache?.getTransaction(signature) || null);
+      const missing = signatures.filter((_, i) => !results[i]);
+      if (cache) {
+        cache.stats.hits += signatures.length - missing.length;
+        cache.stats.misses += missing.length;
+      }
+
+      if (missing.length > 0) {
+        // Each transaction in the batch counts as a request with RPC providers
+        await acquire(missing.length);
+        const fetched = await connection.getParsedTransactions(missing, options);
+        missing.forEach((signature, i) => {
+          const transaction = fetched[i] && JSON.parse(JSON.stringify(fetched[i]));
+          if (transaction) cache?.saveTransaction(signature, transaction);
+          results[signatures.indexOf(signature)] = transaction || null;
+        });
+      }
+
+      return results;
+    },
+
+    async getAccountInfo(address) {
+      // Program accounts can change (e.g. a new upgrade authority), so they aren't cached
+      await acquire();
+      return connection.getAccountInfo(address);
+    }
+  };
+}
+
+export { RPC_CACHE_DIR };
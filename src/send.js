@@ -0,0 +1,203 @@
+/**
+ * Transaction send layer
+ *
+ * Signs a transaction, broadcasts it and keeps rebroadcasting until it is
+ * confirmed or its blockhash expires. Only then is the signature status
+ * checked one last time, so "never landed" and "landed but confirmation
+ * timed out" are told apart instead of both surfacing as a thrown error.
+ *
+ * Errors carry a `kind`:
+ * - retryable:      did not land and is worth sending again (expired, rate limited, RPC hiccup)
+ * - fatal:          did not land, or landed and failed, and would fail again (program error, no funds)
+ * - unknown-landed: may have landed; must be settled against the chain before any retry
+ */
+
+import { delay } from './utils.js';
+
+const SEND_ERROR = {
+  RETRYABLE: 'retryable',
+  FATAL: 'fatal',
+  UNKNOWN_LANDED: 'unknown-landed'
+};
+
+const REBROADCAST_INTERVAL_MS = 2000;
+const MAX_WAIT_MS = 120000;
+const DEFAULT_MAX_ATTEMPTS = 3;
+const DEFAULT_BACKOFF_MS = 1000;
+
+const FATAL_PATTERNS = [
+  /insufficient (funds|lamports)/i,
+  /no record of a prior credit/i,
+  /custom program error/i,
+  /instructionerror/i,
+  /invalid account/i,
+  /account not found/i,
+  /transaction too large/i,
+  /signature verification failed/i
+];
+
+/**
+ * Attach a kind to an error
+ * @param {Error} error - Error to tag
+ * @param {string} kind - One of SEND_ERROR
+ * @returns {Error} The same error
+ */
+function tagError(error, kind) {
+  error.kind = kind;
+  return error;
+}
+
+/**
+ * Classify an error thrown before the transaction could have landed
+ * @param {Error} error - Error from fetching a blockhash, signing or preflight
+ * @returns {string} SEND_ERROR.FATAL or SEND_ERROR.RETRYABLE
+ */
+export function classifySendError(error) {
+  const message = [error.message, ...(error.logs || [])].join('\n');
+
+  if (error.source === 'program' || FATAL_PATTERNS.some(pattern => pattern.test(message))) {
+    return SEND_ERROR.FATAL;
+  }
+
+  // Expired blockhashes, rate limits and RPC hiccups are worth another try
+  return SEND_ERROR.RETRYABLE;
+}
+
+/**
+ * Check where a signed transaction stands on-chain
+ * @param {import('@metaplex-foundation/umi').Umi} umi - Umi instance
+ * @param {Uint8Array} signature - Transaction signature
+ * @param {number} lastValidBlockHeight - Last block height its blockhash is valid for
+ * @returns {Promise<{state: 'confirmed'|'failed'|'expired'|'pending', error?: object}>} Current outcome
+ */
+export async function getSignatureOutcome(umi, signature, lastValidBlockHeight) {
+  const [status] = await umi.rpc.getSignatureStatuses([signature], { searchTransactionHistory: true });
+
+  if (status) {
+    if (status.error) return { state: 'failed', error: status.error };
+    if (status.commitment === 'confirmed' || status.commitment === 'finalized') {
+      return { state: 'confirmed' };
+    }
+    return { state: 'pending' };
+  }
+
+  // Not seen by the cluster: it can only still land while the blockhash is valid
+  const blockHeight = await umi.rpc.call('getBlockHeight', [{ commitment: 'confirmed' }]);
+  if (lastValidBlockHeight && blockHeight > lastValidBlockHeight) {
+    return { state: 'expired' };
+  }
+  return { state: 'pending' };
+}
+
+/**
+ * Broadcast a signed transaction until it settles
+ * @param {import('@metaplex-foundation/umi').Umi} umi - Umi instance
+ * @param {import('@metaplex-foundation/umi').Transaction} transaction - Signed transaction
+ * @param {number} lastValidBlockHeight - Last block height its blockhash is valid for
+ * @returns {Promise<void>} Resolves once confirmed; throws a tagged error otherwise
+ */
+async function broadcastUntilSettled(umi, transaction, lastValidBlockHeight) {
+  const signature = transaction.signatures[0];
+
+  // The first send runs preflight, so a transaction that can't succeed is
+  // rejected here without ever reaching a leader
+  try {
+    await umi.rpc.sendTransaction(transaction);
+  } catch (error) {
+    if (error.source === 'program' || error.logs || /simulation failed/i.test(error.message)) {
+      throw tagError(error, classifySendError(error));
+    }
+    // Network trouble: the transaction may or may not have gone out
+  }
+
+  const startedAt = Date.now();
+  let lastError = null;
+
+  while (Date.now() - startedAt < MAX_WAIT_MS) {
+    await delay(REBROADCAST_INTERVAL_MS);
+
+    try {
+      const outcome = await getSignatureOutcome(umi, signature, lastValidBlockHeight);
+
+      if (outcome.state === 'confirmed') return;
+      if (outcome.state === 'failed') {
+        throw tagError(new Error(`Transaction failed: ${JSON.stringify(outcome.error)}`), SEND_ERROR.FATAL);
+      }
+      if (outcome.state === 'expired') {
+        throw tagError(new Error('Blockhash expired before the transaction landed'), SEND_ERROR.RETRYABLE);
+      }
+    } catch (error) {
+      if (error.kind) throw error;
+      lastError = error;
+      continue;
+    }
+
+    // Still pending: send again in case the first copy was dropped
+    umi.rpc.sendTransaction(transaction, { skipPreflight: true, maxRetries: 0 }).catch(() => {});
+  }
+
+  throw tagError(
+    new Error(`Could not confirm transaction in ${MAX_WAIT_MS / 1000}s${lastError ? `: ${lastError.message}` : ''}`),
+    SEND_ERROR.UNKNOWN_LANDED
+  );
+}
+
+/**
+ * Sign, broadcast and confirm a transaction, retrying when it is safe to
+ * Each attempt uses a fresh blockhash and so a new signature; a new attempt
+ * only starts once the previous one is known not to have landed.
+ * @param {import('@metaplex-foundation/umi').Umi} umi - Umi instance
+ * @param {import('@metaplex-foundation/umi').TransactionBuilder} builder - Transaction to send
+ * @param {object} options - Send options
+ * @param {function} options.onSigned - Called with {signature, lastValidBlockHeight, attempt} before each broadcast
+ * @param {number} options.maxAttempts - Attempts for retryable failures (default: 3)
+ * @param {number} options.backoffMs - Delay before the first retry, doubled each time (default: 1000)
+ * @returns {Promise<string>} Base64 signature of the confirmed transaction
+ */
+export async function sendAndConfirm(umi, builder, options = {}) {
+  const maxAttempts = options.maxAttempts || DEFAULT_MAX_ATTEMPTS;
+  const backoffMs = options.backoffMs ?? DEFAULT_BACKOFF_MS;
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      let transaction;
+      let blockhash;
+      try {
+        blockhash = await umi.rpc.getLatestBlockhash();
+        transaction = await builder.setBlockhash(blockhash).buildAndSign(umi);
+      } catch (error) {
+        throw tagError(error, classifySendError(error));
+      }
+
+      const signature = Buffer.from(transaction.signatures[0]).toString('base64');
+
+      // The signature is known before anything hits the network
+      if (options.onSigned) {
+        options.onSigned({ signature, lastValidBlockHeight: blockhash.lastValidBlockHeight, attempt });
+      }
+
+      await broadcastUntilSettled(umi, transaction, blockhash.lastValidBlockHeight);
+      return signature;
+    } catch (error) {
+      if (error.kind !== SEND_ERROR.RETRYABLE || attempt >= maxAttempts) {
+        throw error;
+      }
+      await delay(backoffMs * Math.pow(2, attempt - 1));
+    }
+  }
+}
+
+/**
+ * Check whether a failed send may still have landed
+ * Errors without a kind came from outside the send layer, so a signed
+ * transaction is assumed to be in flight.
+ * @param {Error} error - Error from sendAndConfirm
+ * @param {string|null} signature - Last signature handed to onSigned, if any
+ * @returns {boolean} True if the transaction must be settled before retrying
+ */
+export function mayHaveLanded(error, signature) {
+  if (!signature) return false;
+  return !error.kind || error.kind === SEND_ERROR.UNKNOWN_LANDED;
+}
+
+export { SEND_ERROR };
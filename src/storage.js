@@ -0,0 +1,133 @@
+/**
+ * Storage backends for POAP images and metadata
+ *
+ * Each backend is a Umi uploader plugin, so upload.js and the mint scripts
+ * keep calling umi.uploader whichever one STORAGE_BACKEND picks:
+ * - irys: permanent Arweave storage, paid in SOL (default)
+ * - ipfs: a Pinata-compatible pinning API
+ * - local: files in a directory served by `npm run serve-storage`, for
+ *   offline testing and localnet runs. Its URIs only resolve while that
+ *   server is running, so never mint real POAPs with it.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { sol } from '@metaplex-foundation/umi';
+import { irysUploader } from '@metaplex-foundation/umi-uploader-irys';
+
+// Content types the local server sends, by file extension
+const CONTENT_TYPES = {
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.svg': 'image/svg+xml',
+  '.mp4': 'video/mp4',
+  '.json': 'application/json'
+};
+
+/**
+ * Get a file's extension, from its name or else its content type
+ * @param {import('@metaplex-foundation/umi').GenericFile} file - File to store
+ * @returns {string} Extension with the dot (empty if unknown)
+ */
+function getExtension(file) {
+  const fromName = path.extname(file.fileName || '').toLowerCase();
+  if (fromName) return fromName;
+  const match = Object.entries(CONTENT_TYPES).find(([, type]) => type === file.contentType);
+  return match ? match[0] : '';
+}
+
+/**
+ * Local directory storage
+ * Files are named by content hash, so uploading the same bytes twice gives
+ * the same URI.
+ * @param {object} options - Backend options
+ * @param {string} options.directory - Directory to write files to
+ * @param {string} options.baseUrl - URL the directory is served at
+ * @returns {import('@metaplex-foundation/umi').UmiPlugin} Umi plugin
+ */
+export function localUploader({ directory, baseUrl }) {
+  const save = (buffer, extension) => {
+    const name = crypto.createHash('sha256').update(buffer).digest('hex') + extension;
+    fs.mkdirSync(directory, { recursive: true });
+    fs.writeFileSync(path.join(directory, name), buffer);
+    return `${baseUrl.replace(/\/$/, '')}/${name}`;
+  };
+
+  return {
+    install(umi) {
+      umi.uploader = {
+        upload: async (files) => files.map(file => save(Buffer.from(file.buffer), getExtension(file))),
+        uploadJson: async (json) => save(Buffer.from(JSON.stringify(json)), '.json'),
+        getUploadPrice: async () => sol(0)
+      };
+    }
+  };
+}
+
+/**
+ * IPFS pinning service storage (Pinata API)
+ * @param {object} options - Backend options
+ * @param {string} options.apiUrl - Pinning API base URL
+ * @param {string} options.token - API token (JWT)
+ * @param {string} options.gatewayUrl - Gateway that serves pinned content
+ * @returns {import('@metaplex-foundation/umi').UmiPlugin} Umi plugin
+ */
+export function ipfsUploader({ apiUrl, token, gatewayUrl }) {
+  const pin = async (endpoint, body, headers = {}) => {
+    const response = await fetch(`${apiUrl.replace(/\/$/, '')}${endpoint}`, {
+      method: 'POST',
+      headers: { Authorization: `Bearer ${token}`, ...headers },
+      body
+    });
+    if (!response.ok) {
+      throw new Error(`IPFS pin failed (${response.status}): ${await response.text()}`);
+    }
+    const { IpfsHash } = await response.json();
+    return `${gatewayUrl.replace(/\/$/, '')}/${IpfsHash}`;
+  };
+
+  return {
+    install(umi) {
+      umi.uploader = {
+        upload: async (files) => {
+          const uris = [];
+          for (const file of files) {
+            const form = new FormData();
+            form.append('file', new Blob([file.buffer], { type: file.contentType || undefined }), file.fileName);
+            uris.push(await pin('/pinning/pinFileToIPFS', form));
+          }
+          return uris;
+        },
+        uploadJson: async (json) => pin(
+          '/pinning/pinJSONToIPFS',
+          JSON.stringify({ pinataContent: json }),
+          { 'Content-Type': 'application/json' }
+        ),
+        // Pinning services bill by plan, not per upload
+        getUploadPrice: async () => sol(0)
+      };
+    }
+  };
+}
+
+/**
+ * Get the uploader plugin for the configured storage backend
+ * @param {object} config - Configuration from getConfig()
+ * @returns {import('@metaplex-foundation/umi').UmiPlugin} Umi plugin
+ */
+export function storageUploader(config) {
+  switch (config.storageBackend) {
+    case 'local':
+      return localUploader({ directory: config.localStorageDir, baseUrl: config.localStorageUrl });
+    case 'ipfs':
+      return ipfsUploader({ apiUrl: config.ipfsApiUrl, token: config.ipfsApiToken, gatewayUrl: config.ipfsGatewayUrl });
+    default:
+      return irysUploader({ address: config.irysUrl });
+  }
+}
+
+export { CONTENT_TYPES };
@@ -0,0 +1,151 @@
+/**
+ * Tree allocator
+ *
+ * Hands out leaf slots for a tier's mints so a run never outgrows its tree.
+ * Remaining capacity is read from the tree config (numMinted vs
+ * totalMintCapacity) when the run starts, tracked locally as mints go out,
+ * and read again before giving up on a tree. When the current tree can't
+ * take the next transaction, the allocator moves to a spare tree listed in
+ * data/config.json (spareTrees) that the signer may mint into, or creates
+ * a new tree with the same dimensions, and saves the switch to config. New
+ * trees are recorded in the tree registry.
+ */
+
+import { createMerkleTree, fetchTreeCapacity, fetchTreeHeader } from './merkle-tree.js';
+import { registerTree } from './tree-registry.js';
+import { checkMintAuthority } from './tree-delegate.js';
+import { loadConfig, saveConfig } from './utils.js';
+
+/**
+ * Create an allocator that always uses one tree and never rolls over
+ * @param {string} treeAddress - Merkle tree public key
+ * @returns {object} Tree allocator (same shape as createTreeAllocator)
+ */
+export function createFixedTreeAllocator(treeAddress) {
+  return {
+    get current() { return treeAddress; },
+    get trees() { return [treeAddress]; },
+    get remaining() { return Infinity; },
+    async allocate() { return treeAddress; },
+    confirm() {},
+    release() {}
+  };
+}
+
+/**
+ * Create an allocator for a tier's trees
+ * @param {import('@metaplex-foundation/umi').Umi} umi - Umi instance
+ * @param {string} tierKey - Tier key in data/config.json ('participation' or 'builder')
+ * @param {object} options - Allocator options
+ * @param {object} options.computeBudget - Priority fee for creating a new tree (see fees.js)
+ * @param {function} options.onRollover - Called with {from, to, created} after switching trees
+ * @returns {Promise<{current: string, trees: string[], remaining: number, allocate: function, confirm: function, release: function}>}
+ *   Tree allocator
+ */
+export async function createTreeAllocator(umi, tierKey, options = {}) {
+  const tier = loadConfig()?.[tierKey];
+  if (!tier?.treeAddress) {
+    throw new Error(`Missing ${tierKey}.treeAddress. Run create-trees first.`);
+  }
+
+  let current = tier.treeAddress;
+  let remaining = (await fetchTreeCapacity(umi, current)).remaining;
+  let inFlight = 0;
+  let rolling = null;
+  const used = [...(tier.previousTrees || []), current];
+
+  const rollover = async (count) => {
+    // Counts may be stale if something else minted into the tree
+    const fresh = (await fetchTreeCapacity(umi, current)).remaining - inFlight;
+    if (fresh >= count) {
+      remaining = fresh;
+      return;
+    }
+
+    const config = loadConfig();
+    const spares = [...(config[tierKey].spareTrees || [])];
+    let next = null;
+    let nextRemaining = 0;
+    // Spares this signer isn't allowed to mint into stay listed for someone who is
+    const notOurs = [];
+
+    while (spares.length > 0) {
+      const candidate = spares.shift();
+      const capacity = await fetchTreeCapacity(umi, candidate);
+      if (capacity.remaining < count) continue;
+
+      if (!(await checkMintAuthority(umi, candidate).then(() => true, () => false))) {
+        notOurs.push(candidate);
+        continue;
+      }
+
+      next = candidate;
+      nextRemaining = capacity.remaining;
+      break;
+    }
+
+    const created = !next;
+    if (created) {
+      const header = await fetchTreeHeader(umi, current);
+      const tree = await createMerkleTree(umi, header, { computeBudget: options.computeBudget });
+      next = tree.address;
+      registerTree({ address: next, purpose: tierKey, ...header });
+      nextRemaining = Math.pow(2, header.maxDepth);
+    }
+
+    if (nextRemaining < count) {
+      throw new Error(`New tree ${next} cannot hold ${count} mints`);
+    }
+
+    saveConfig({
+      ...config,
+      [tierKey]: {
+        ...config[tierKey],
+        treeAddress: next,
+        previousTrees: [...(config[tierKey].previousTrees || []), current],
+        spareTrees: [...notOurs, ...spares]
+      }
+    });
+
+    if (options.onRollover) {
+      options.onRollover({ from: current, to: next, created });
+    }
+
+    current = next;
+    remaining = nextRemaining;
+    inFlight = 0;
+    used.push(next);
+  };
+
+  return {
+    get current() { return current; },
+    get trees() { return [...used]; },
+    get remaining() { return remaining; },
+
+    // Reserve leaves for one transaction and return the tree to mint into
+    async allocate(count = 1) {
+      while (remaining < count) {
+        if (!rolling) {
+          rolling = rollover(count).finally(() => { rolling = null; });
+        }
+        await rolling;
+      }
+      remaining -= count;
+      inFlight += count;
+      return current;
+    },
+
+    // Reserved leaves were used (the mint landed, or may have)
+    confirm(treeAddress, count = 1) {
+      if (treeAddress === current) inFlight -= count;
+    },
+
+    // Give back reserved leaves from a mint that did not land
+    release(treeAddress, count = 1) {
+      if (treeAddress === current) {
+        inFlight -= count;
+        remaining += count;
+      }
+    }
+  };
+}
@@ -0,0 +1,146 @@
+/**
+ * Tree and collection delegates
+ *
+ * Bubblegum lets a tree's creator name one delegate that may also mint into
+ * the tree, so campus leads can run mint sessions with their own keypair
+ * instead of the owner's PRIVATE_KEY. Revoking sets the delegate back to
+ * the creator.
+ *
+ * Minting into a verified collection also needs the collection's update
+ * authority. A delegate gets that through a collection authority record,
+ * which only the update authority can approve or revoke.
+ */
+
+import { publicKey } from '@metaplex-foundation/umi';
+import { setTreeDelegate, fetchTreeConfigFromSeeds } from '@metaplex-foundation/mpl-bubblegum';
+import {
+  approveCollectionAuthority,
+  revokeCollectionAuthority,
+  findCollectionAuthorityRecordPda,
+  safeFetchCollectionAuthorityRecordFromSeeds,
+  fetchMetadataFromSeeds
+} from '@metaplex-foundation/mpl-token-metadata';
+import { withComputeBudget } from './fees.js';
+import { sendAndConfirm } from './send.js';
+
+/**
+ * Set the delegate of a tree
+ * Must be signed by the tree creator.
+ * @param {import('@metaplex-foundation/umi').Umi} umi - Umi instance
+ * @param {string} treeAddress - Merkle tree public key
+ * @param {string} delegate - New delegate (the creator's own address revokes)
+ * @param {object} options - Send options
+ * @param {object} options.computeBudget - Priority fee to pay (see fees.js)
+ * @returns {Promise<string>} Transaction signature
+ */
+export async function updateTreeDelegate(umi, treeAddress, delegate, options = {}) {
+  const builder = setTreeDelegate(umi, {
+    merkleTree: publicKey(treeAddress),
+    newTreeDelegate: publicKey(delegate)
+  });
+
+  const budget = options.computeBudget ? { ...options.computeBudget, unitsPerInstruction: 0 } : null;
+  return sendAndConfirm(umi, withComputeBudget(umi, builder, budget));
+}
+
+/**
+ * Let a delegate verify mints into a collection
+ * Must be signed by the collection's update authority.
+ * @param {import('@metaplex-foundation/umi').Umi} umi - Umi instance
+ * @param {string} collectionMint - Collection mint public key
+ * @param {string} delegate - Address to approve
+ * @param {object} options - Send options
+ * @param {object} options.computeBudget - Priority fee to pay (see fees.js)
+ * @returns {Promise<string|null>} Transaction signature, or null if already approved
+ */
+export async function approveCollectionDelegate(umi, collectionMint, delegate, options = {}) {
+  const seeds = { mint: publicKey(collectionMint), collectionAuthority: publicKey(delegate) };
+  if (await safeFetchCollectionAuthorityRecordFromSeeds(umi, seeds)) {
+    return null;
+  }
+
+  const builder = approveCollectionAuthority(umi, {
+    collectionAuthorityRecord: findCollectionAuthorityRecordPda(umi, seeds),
+    newCollectionAuthority: publicKey(delegate),
+    mint: publicKey(collectionMint)
+  });
+
+  const budget = options.computeBudget ? { ...options.computeBudget, unitsPerInstruction: 0 } : null;
+  return sendAndConfirm(umi, withComputeBudget(umi, builder, budget));
+}
+
+/**
+ * Withdraw a delegate's collection authority
+ * @param {import('@metaplex-foundation/umi').Umi} umi - Umi instance
+ * @param {string} collectionMint - Collection mint public key
+ * @param {string} delegate - Address to revoke
+ * @param {object} options - Send options
+ * @param {object} options.computeBudget - Priority fee to pay (see fees.js)
+ * @returns {Promise<string|null>} Transaction signature, or null if there was no approval
+ */
+export async function revokeCollectionDelegate(umi, collectionMint, delegate, options = {}) {
+  const seeds = { mint: publicKey(collectionMint), collectionAuthority: publicKey(delegate) };
+  if (!(await safeFetchCollectionAuthorityRecordFromSeeds(umi, seeds))) {
+    return null;
+  }
+
+  const builder = revokeCollectionAuthority(umi, {
+    collectionAuthorityRecord: findCollectionAuthorityRecordPda(umi, seeds),
+    delegateAuthority: publicKey(delegate),
+    revokeAuthority: umi.identity,
+    mint: publicKey(collectionMint)
+  });
+
+  const budget = options.computeBudget ? { ...options.computeBudget, unitsPerInstruction: 0 } : null;
+  return sendAndConfirm(umi, withComputeBudget(umi, builder, budget));
+}
+
+/**
+ * Check that the configured signer may mint into a tier's tree (and collection)
+ * Run before minting starts, so a wrong keypair fails up front instead of
+ * on every mint.
+ * @param {import('@metaplex-foundation/umi').Umi} umi - Umi instance
+ * @param {string} treeAddress - Merkle tree public key
+ * @param {string|null} collectionMint - Collection the tier mints into, if any
+ * @returns {Promise<{role: string, collectionAuthority: string|null, collectionAuthorityRecord: string|null}>}
+ *   Signer's role on the tree ('creator', 'delegate' or 'public'), the
+ *   collection's update authority, and the collection authority record to
+ *   mint with, if the signer is a collection delegate
+ */
+export async function checkMintAuthority(umi, treeAddress, collectionMint = null) {
+  const signer = umi.identity.publicKey.toString();
+  const treeConfig = await fetchTreeConfigFromSeeds(umi, { merkleTree: publicKey(treeAddress) });
+  const creator = treeConfig.treeCreator.toString();
+  const delegate = treeConfig.treeDelegate.toString();
+
+  let role;
+  if (signer === creator) role = 'creator';
+  else if (signer === delegate) role = 'delegate';
+  else if (treeConfig.isPublic) role = 'public';
+  else {
+    throw new Error(
+      `Signer ${signer} can't mint into tree ${treeAddress}. ` +
+      `It must be the tree creator (${creator}) or delegate (${delegate}).`
+    );
+  }
+
+  if (!collectionMint) {
+    return { role, collectionAuthority: null, collectionAuthorityRecord: null };
+  }
+
+  const collection = await fetchMetadataFromSeeds(umi, { mint: publicKey(collectionMint) });
+  const collectionAuthority = collection.updateAuthority.toString();
+  if (collectionAuthority === signer) {
+    return { role, collectionAuthority, collectionAuthorityRecord: null };
+  }
+
+  const seeds = { mint: publicKey(collectionMint), collectionAuthority: umi.identity.publicKey };
+  if (!(await safeFetchCollectionAuthorityRecordFromSeeds(umi, seeds))) {
+    throw new Error(
+      `Signer ${signer} is not an authority of collection ${collectionMint}. ` +
+      `Ask ${collection.updateAuthority} to run \`tree-delegate set\` for this wallet.`
+    );
+  }
+
+  return { role, collectionAuthority, collectionAuthorityRecord: findCollectionAuthorityRecordPda(umi, seeds)[0].toString() };
+}
@@ -0,0 +1,106 @@
+/**
+ * Merkle tree sizing planner
+ *
+ * Lists the tree shapes that fit an expected number of recipients, with the
+ * exact account size and rent for each. Only the (maxDepth, maxBufferSize)
+ * pairs accepted by the SPL account compression program are considered.
+ *
+ * Canopy trade-off: minting never needs a proof, but transferring or burning
+ * a POAP later sends (maxDepth - canopyDepth) proof nodes in the
+ * transaction. A canopy caches the top of the tree on-chain so those proofs
+ * stay short, at the cost of a bigger (more expensive) account.
+ */
+
+import { fetchTreeCost } from './merkle-tree.js';
+
+/**
+ * (maxDepth, maxBufferSize) pairs supported by SPL account compression
+ */
+const VALID_TREE_SIZES = [
+  [3, 8], [5, 8],
+  [6, 16], [7, 16], [8, 16], [9, 16],
+  [10, 32], [11, 32], [12, 32], [13, 32],
+  [14, 64], [14, 256], [14, 1024], [14, 2048],
+  [15, 64], [16, 64], [17, 64], [18, 64], [19, 64],
+  [20, 64], [20, 256], [20, 1024], [20, 2048],
+  [24, 64], [24, 256], [24, 512], [24, 1024], [24, 2048],
+  [26, 512], [26, 1024], [26, 2048],
+  [30, 512], [30, 1024], [30, 2048]
+];
+
+const MAX_CANOPY_DEPTH = 17;
+const DEFAULT_MAX_PROOF_LENGTH = 10;
+
+/**
+ * Check tree dimensions against what the compression program accepts
+ * @param {{maxDepth: number, maxBufferSize: number, canopyDepth?: number}} params - Tree dimensions
+ * @returns {string|null} Error message, or null if valid
+ */
+export function validateTreeParams({ maxDepth, maxBufferSize, canopyDepth = 0 }) {
+  if (!VALID_TREE_SIZES.some(([depth, buffer]) => depth === maxDepth && buffer === maxBufferSize)) {
+    const buffers = VALID_TREE_SIZES.filter(([depth]) => depth === maxDepth).map(([, buffer]) => buffer);
+    return buffers.length > 0
+      ? `maxBufferSize for depth ${maxDepth} must be one of: ${buffers.join(', ')}`
+      : `maxDepth must be one of: ${[...new Set(VALID_TREE_SIZES.map(([depth]) => depth))].join(', ')}`;
+  }
+
+  if (!Number.isInteger(canopyDepth) || canopyDepth < 0 || canopyDepth >= maxDepth || canopyDepth > MAX_CANOPY_DEPTH) {
+    return `canopyDepth must be between 0 and ${Math.min(maxDepth - 1, MAX_CANOPY_DEPTH)}`;
+  }
+
+  return null;
+}
+
+/**
+ * List tree shapes that can hold the expected recipients, with exact rent
+ * @param {import('@metaplex-foundation/umi').Umi} umi - Umi instance
+ * @param {number} recipientCount - Expected number of mints into one tree
+ * @param {object} options - Planner options
+ * @param {number} options.depthHeadroom - Extra depths to list above the smallest that fits (default: 1)
+ * @param {number} options.maxProofLength - Longest proof a recommended shape may need (default: 10)
+ * @returns {Promise<Array<{maxDepth: number, maxBufferSize: number, canopyDepth: number, capacity: number,
+ *   proofLength: number, bytes: number, lamports: number, sol: number, recommended: boolean}>>}
+ *   Options sorted by rent, cheapest first
+ */
+export async function planTrees(umi, recipientCount, options = {}) {
+  const depthHeadroom = options.depthHeadroom ?? 1;
+  const maxProofLength = options.maxProofLength ?? DEFAULT_MAX_PROOF_LENGTH;
+
+  const depths = [...new Set(VALID_TREE_SIZES.map(([depth]) => depth))]
+    .filter(depth => Math.pow(2, depth) >= recipientCount)
+    .slice(0, depthHeadroom + 1);
+
+  if (depths.length === 0) {
+    throw new Error(`No tree can hold ${recipientCount} leaves; split recipients across trees`);
+  }
+
+  const candidates = [];
+  for (const [maxDepth, maxBufferSize] of VALID_TREE_SIZES.filter(([depth]) => depths.includes(depth))) {
+    // No canopy (cheapest), and the smallest canopy that keeps proofs short
+    const canopies = new Set([0, Math.min(MAX_CANOPY_DEPTH, Math.max(0, maxDepth - maxProofLength))]);
+    for (const canopyDepth of canopies) {
+      candidates.push({ maxDepth, maxBufferSize, canopyDepth });
+    }
+  }
+
+  const plans = [];
+  for (const candidate of candidates) {
+    const cost = await fetchTreeCost(umi, candidate);
+    plans.push({
+      ...candidate,
+      capacity: Math.pow(2, candidate.maxDepth),
+      proofLength: candidate.maxDepth - candidate.canopyDepth,
+      ...cost,
+      recommended: false
+    });
+  }
+
+  plans.sort((a, b) => a.lamports - b.lamports);
+
+  const recommended = plans.find(plan => plan.proofLength <= maxProofLength) || plans[0];
+  recommended.recommended = true;
+
+  return plans;
+}
+
+export { VALID_TREE_SIZES, MAX_CANOPY_DEPTH, DEFAULT_MAX_PROOF_LENGTH };
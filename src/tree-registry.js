@@ -0,0 +1,99 @@
+/**
+ * Tree registry
+ *
+ * Every tree this project creates is recorded in data/tree-registry.json
+ * with its purpose (tier), network and dimensions, whatever data/config.json
+ * says later. Trees can then be found again and reused across tours
+ * instead of paying rent for new ones.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { publicKey } from '@metaplex-foundation/umi';
+import { safeFetchTreeConfigFromSeeds } from '@metaplex-foundation/mpl-bubblegum';
+import { getConfig } from './config.js';
+import { loadJson, saveJson, DATA_DIR } from './utils.js';
+
+const TREE_REGISTRY_PATH = path.join(DATA_DIR, 'tree-registry.json');
+
+/**
+ * Load the tree registry
+ * @returns {{trees: Array<object>}} Registry (empty if the file doesn't exist yet)
+ */
+export function loadTreeRegistry() {
+  if (!fs.existsSync(TREE_REGISTRY_PATH)) {
+    return { trees: [] };
+  }
+  return loadJson(TREE_REGISTRY_PATH);
+}
+
+/**
+ * Record a tree in the registry
+ * Entries are keyed by address; registering a known tree only fills in
+ * fields it didn't have.
+ * @param {object} entry - Tree details
+ * @param {string} entry.address - Merkle tree public key
+ * @param {string} entry.purpose - Tier the tree was created for (its key in the event file)
+ * @param {string} entry.network - Network the tree lives on (default: NETWORK)
+ * @param {number} entry.maxDepth - Tree depth, if known
+ * @param {number} entry.maxBufferSize - Changelog buffer size, if known
+ * @param {number} entry.canopyDepth - Canopy depth, if known
+ * @returns {object} The registry entry
+ */
+export function registerTree(entry) {
+  const registry = loadTreeRegistry();
+  const existing = registry.trees.find(tree => tree.address === entry.address);
+
+  const record = {
+    network: getConfig().network,
+    ...(entry.maxDepth !== undefined && { capacity: Math.pow(2, entry.maxDepth) }),
+    registeredAt: new Date().toISOString(),
+    ...entry,
+    ...existing
+  };
+
+  registry.trees = [...registry.trees.filter(tree => tree.address !== entry.address), record];
+  saveJson(TREE_REGISTRY_PATH, registry);
+
+  return record;
+}
+
+/**
+ * Find registered trees that still have room
+ * Capacity is read on-chain from each tree's config; trees that no longer
+ * exist on this cluster are left out.
+ * @param {import('@metaplex-foundation/umi').Umi} umi - Umi instance
+ * @param {object} filter - Which trees to consider
+ * @param {string} filter.purpose - Tier to match
+ * @param {string} filter.network - Network to match (default: NETWORK)
+ * @param {Array<string>} filter.exclude - Addresses to skip (e.g. trees in use by another tier)
+ * @returns {Promise<Array<object>>} Registry entries with {minted, remaining}, most room first
+ */
+export async function findReusableTrees(umi, filter = {}) {
+  const network = filter.network || getConfig().network;
+  const exclude = new Set(filter.exclude || []);
+
+  const candidates = loadTreeRegistry().trees.filter(tree =>
+    tree.purpose === filter.purpose && tree.network === network && !exclude.has(tree.address)
+  );
+
+  const reusable = [];
+  for (const tree of candidates) {
+    try {
+      const treeConfig = await safeFetchTreeConfigFromSeeds(umi, { merkleTree: publicKey(tree.address) });
+      if (!treeConfig) continue;
+
+      const minted = Number(treeConfig.numMinted);
+      const remaining = Number(treeConfig.totalMintCapacity) - minted;
+      if (remaining > 0) {
+        reusable.push({ ...tree, minted, remaining });
+      }
+    } catch {
+      // Not readable from this RPC right now: not a candidate
+    }
+  }
+
+  return reusable.sort((a, b) => b.remaining - a.remaining);
+}
+
+export { TREE_REGISTRY_PATH };
@@ -1,9 +1,11 @@
 import { createUmi } from '@metaplex-foundation/umi-bundle-defaults';
 import { createSignerFromKeypair, signerIdentity } from '@metaplex-foundation/umi';
-import { irysUploader } from '@metaplex-foundation/umi-uploader-irys';
 import { mplBubblegum } from '@metaplex-foundation/mpl-bubblegum';
+import { mplTokenMetadata } from '@metaplex-foundation/mpl-token-metadata';
+import { dasApi } from '@metaplex-foundation/digital-asset-standard-api';
 import bs58 from 'bs58';
 import { getConfig } from './config.js';
+import { storageUploader } from './storage.js';
 
 /**
  * Create and configure Umi client
@@ -27,14 +29,24 @@ export function createUmiClient() {
   // Configure Umi with signer and plugins
   umi
     .use(signerIdentity(signer))
-    .use(irysUploader({
-      address: config.irysUrl,
-    }))
-    .use(mplBubblegum());
+    .use(storageUploader(config))
+    .use(mplTokenMetadata())
+    .use(mplBubblegum())
+    .use(dasApi());
 
   return umi;
 }
 
+/**
+ * Create a Umi client that can only read from a cluster
+ * Used to look up accounts on another network than the configured one.
+ * @param {string} rpcUrl - RPC endpoint
+ * @returns {import('@metaplex-foundation/umi').Umi} Umi instance without a signer
+ */
+export function createReadOnlyUmiClient(rpcUrl) {
+  return createUmi(rpcUrl).use(mplBubblegum());
+}
+
 /**
  * Get the public key of the configured wallet
  * @param {import('@metaplex-foundation/umi').Umi} umi
@@ -0,0 +1,117 @@
+/**
+ * Upload manifest
+ *
+ * Every file uploaded to storage is recorded in data/upload-manifest.json by
+ * the SHA-256 of its content, so the same bytes are never paid for twice.
+ * Named assets (a tier's image or metadata) also record which file they
+ * currently point at, with a history of the versions they replaced.
+ *
+ * Uploads only exist where they were made, so the manifest is split by
+ * network and storage backend (e.g. "devnet:irys").
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { getConfig } from './config.js';
+import { loadJson, saveJson, DATA_DIR } from './utils.js';
+
+const UPLOAD_MANIFEST_PATH = path.join(DATA_DIR, 'upload-manifest.json');
+
+/**
+ * Serialize JSON with object keys sorted, so equal documents hash equally
+ * @param {*} value - JSON value
+ * @returns {string} Canonical JSON text
+ */
+export function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const entries = Object.keys(value).sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * Hash file content
+ * @param {Uint8Array|string} content - File bytes or text
+ * @returns {string} SHA-256 hex digest
+ */
+export function hashContent(content) {
+  return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+/**
+ * Load the manifest section for the current network and storage backend
+ * @returns {{files: object, assets: object}} Uploaded files by hash, and named assets
+ */
+export function loadUploadManifest() {
+  const { network, storageBackend } = getConfig();
+  const manifest = fs.existsSync(UPLOAD_MANIFEST_PATH) ? loadJson(UPLOAD_MANIFEST_PATH) : {};
+  return { files: {}, assets: {}, ...manifest[`${network}:${storageBackend}`] };
+}
+
+/**
+ * Save the manifest section for the current network and storage backend
+ * @param {{files: object, assets: object}} section - Section to save
+ */
+function saveUploadManifest(section) {
+  const { network, storageBackend } = getConfig();
+  const manifest = fs.existsSync(UPLOAD_MANIFEST_PATH) ? loadJson(UPLOAD_MANIFEST_PATH) : {};
+  saveJson(UPLOAD_MANIFEST_PATH, { ...manifest, [`${network}:${storageBackend}`]: section });
+}
+
+/**
+ * Look up an earlier upload of the same content
+ * @param {string} hash - Content hash (see hashContent)
+ * @returns {object|null} Manifest entry ({uri, bytes, contentType, uploadedAt}), or null
+ */
+export function findUploadedFile(hash) {
+  return loadUploadManifest().files[hash] || null;
+}
+
+/**
+ * Record an uploaded file
+ * Saved right after each upload, so a failed run doesn't lose what was paid for.
+ * @param {string} hash - Content hash (see hashContent)
+ * @param {{uri: string, bytes: number, contentType: string}} entry - Upload details
+ */
+export function recordUploadedFile(hash, entry) {
+  const section = loadUploadManifest();
+  section.files[hash] = { ...entry, uploadedAt: new Date().toISOString() };
+  saveUploadManifest(section);
+}
+
+/**
+ * Point a named asset at an uploaded file
+ * If the asset pointed at different content before, that version moves to
+ * its history.
+ * @param {string} name - Asset name (e.g. 'participation.image')
+ * @param {{hash: string, uri: string}} version - Current content hash and URI
+ * @returns {{changed: boolean, previous: object|null}} Whether the content changed, and the replaced version
+ */
+export function recordAsset(name, { hash, uri }) {
+  const section = loadUploadManifest();
+  const existing = section.assets[name];
+
+  if (existing?.hash === hash) {
+    return { changed: false, previous: null };
+  }
+
+  const { history = [], ...previous } = existing || {};
+  section.assets[name] = {
+    hash,
+    uri,
+    updatedAt: new Date().toISOString(),
+    history: existing ? [...history, previous] : []
+  };
+  saveUploadManifest(section);
+
+  return { changed: Boolean(existing), previous: existing ? previous : null };
+}
+
+export { UPLOAD_MANIFEST_PATH };
@@ -1,37 +1,20 @@
-import { createGenericFile } from '@metaplex-foundation/umi';
+import { createGenericFile, lamports } from '@metaplex-foundation/umi';
+import { isIrysUploader } from '@metaplex-foundation/umi-uploader-irys';
+import { getTiers } from './event.js';
+import { detectContentType, getCategory, checkTierMedia } from './media.js';
+import { validateMetadata } from './metadata-schema.js';
+import { canonicalJson, hashContent, findUploadedFile, recordUploadedFile, recordAsset } from './upload-manifest.js';
 import { readAsset, assetExists, saveConfig, loadConfig } from './utils.js';
 
-// POAP metadata templates
-const PARTICIPATION_METADATA = {
-  name: "SSA Campus Tour Participant 2025",
-  symbol: "SSAP",
-  description: "Awarded to attendees of the Solana Students Africa Campus Tour 2025. This POAP recognizes your presence, interest, and membership in the SSA community.",
-  attributes: [
-    { trait_type: "Tier", value: "Participant" },
-    { trait_type: "Program", value: "Campus Tour" },
-    { trait_type: "Year", value: "2025" },
-    { trait_type: "Issuer", value: "Solana Students Africa" }
-  ]
-};
-
-const BUILDER_METADATA = {
-  name: "SSA Campus Tour Builder 2025",
-  symbol: "SSAB",
-  description: "Awarded to builders who shipped on-chain during the Solana Students Africa Campus Tour 2025. This POAP verifies real execution and unlocks access to SSA Builder Programs, including early application access and Builder Spotlight eligibility.",
-  attributes: [
-    { trait_type: "Tier", value: "Builder" },
-    { trait_type: "Program", value: "Campus Tour" },
-    { trait_type: "Year", value: "2025" },
-    { trait_type: "Issuer", value: "Solana Students Africa" },
-    { trait_type: "Privileges", value: "Builder Program Early Access, Spotlight Eligibility" }
-  ]
-};
+// Same length as an Irys gateway URI, for sizing metadata before its artwork is uploaded
+const PLACEHOLDER_URI = `https://gateway.irys.xyz/${'x'.repeat(44)}`;
 
 /**
- * Upload an image to Arweave via Irys
+ * Upload an image (or video) to the configured storage backend (see storage.js)
+ * The content type is detected from the file's bytes.
  * @param {import('@metaplex-foundation/umi').Umi} umi - Umi instance
  * @param {string} imagePath - Path to image file (relative to assets/)
- * @returns {Promise<string>} Arweave URI
+ * @returns {Promise<string>} Image URI
  */
 export async function uploadImage(umi, imagePath) {
   if (!assetExists(imagePath)) {
@@ -39,19 +22,22 @@ export async function uploadImage(umi, imagePath) {
   }
 
   const imageBuffer = readAsset(imagePath);
-  const file = createGenericFile(imageBuffer, imagePath, {
-    contentType: 'image/png'
-  });
+  const contentType = detectContentType(imageBuffer);
+  if (!contentType) {
+    throw new Error(`Unsupported file type: assets/${imagePath}`);
+  }
+
+  const file = createGenericFile(imageBuffer, imagePath, { contentType });
 
   const [uri] = await umi.uploader.upload([file]);
   return uri;
 }
 
 /**
- * Upload metadata JSON to Arweave via Irys
+ * Upload metadata JSON to the configured storage backend (see storage.js)
  * @param {import('@metaplex-foundation/umi').Umi} umi - Umi instance
  * @param {object} metadata - Metadata object
- * @returns {Promise<string>} Arweave URI
+ * @returns {Promise<string>} Metadata URI
  */
 export async function uploadMetadata(umi, metadata) {
   const uri = await umi.uploader.uploadJson(metadata);
@@ -59,80 +45,325 @@ export async function uploadMetadata(umi, metadata) {
 }
 
 /**
- * Upload all assets for both POAP tiers
- * @param {import('@metaplex-foundation/umi').Umi} umi - Umi instance
- * @returns {Promise<object>} Config with all URIs
+ * Upload content unless the same bytes were uploaded before
+ * @param {Uint8Array|string} content - Content to store (canonical JSON for metadata)
+ * @param {string} contentType - MIME type, recorded in the manifest
+ * @param {function} upload - Performs the upload, resolving to its URI
+ * @returns {Promise<{hash: string, uri: string, reused: boolean}>} Content hash, URI and whether it was reused
  */
-export async function uploadAllAssets(umi) {
-  const config = loadConfig() || {};
+async function uploadUnlessStored(content, contentType, upload) {
+  const hash = hashContent(content);
+  const stored = findUploadedFile(hash);
+  if (stored) {
+    return { hash, uri: stored.uri, reused: true };
+  }
 
-  // Check required images exist
-  const participationImage = 'participation-poap.png';
-  const builderImage = 'builder-poap.png';
+  const uri = await upload();
+  recordUploadedFile(hash, { uri, bytes: Buffer.byteLength(content), contentType });
+  return { hash, uri, reused: false };
+}
 
-  if (!assetExists(participationImage)) {
-    throw new Error(`Missing participation image: assets/${participationImage}`);
+/**
+ * Read a tier's artwork files (image, then animation if set)
+ * @param {object} tier - Tier from the event
+ * @returns {Array<{field: string, filename: string, content: Buffer, contentType: string}>} Files with detected types
+ */
+function readTierMedia(tier) {
+  return [['image', tier.image], ['animation', tier.animation]]
+    .filter(([, filename]) => filename)
+    .map(([field, filename]) => {
+      const content = readAsset(filename);
+      return { field, filename, content, contentType: detectContentType(content) };
+    });
+}
+
+/**
+ * Build a tier's metadata JSON around its uploaded artwork
+ * With an animation, the image is its preview and the category is video.
+ * @param {object} template - Tier metadata template (tier.metadata from the event file)
+ * @param {object} media - Uploaded artwork, as saved in the tier's data/config.json section
+ * @param {string} media.imageUri - Image URI
+ * @param {string} media.imageType - Image MIME type (default: image/png)
+ * @param {string} media.animationUri - Animation URI (optional)
+ * @param {string} media.animationType - Animation MIME type
+ * @returns {object} Metadata JSON
+ */
+export function buildTierMetadata(template, { imageUri, imageType = 'image/png', animationUri, animationType }) {
+  const files = [{ uri: imageUri, type: imageType }];
+  if (animationUri) {
+    files.push({ uri: animationUri, type: animationType });
   }
-  if (!assetExists(builderImage)) {
-    throw new Error(`Missing builder image: assets/${builderImage}`);
+
+  return {
+    ...template,
+    image: imageUri,
+    ...(animationUri && { animation_url: animationUri }),
+    properties: {
+      files,
+      category: animationUri ? getCategory(animationType) : getCategory(imageType)
+    }
+  };
+}
+
+/**
+ * Check a tier's metadata against the schema before its artwork is uploaded
+ * The artwork URIs aren't known yet, so placeholders stand in for them.
+ * @param {object} tier - Tier from the event
+ * @returns {Array<string>} Error messages (empty if valid)
+ */
+export function checkTierMetadata(tier) {
+  const media = {};
+  for (const { field, contentType } of readTierMedia(tier)) {
+    media[`${field}Uri`] = PLACEHOLDER_URI;
+    media[`${field}Type`] = contentType;
   }
+  return validateMetadata(buildTierMetadata(tier.metadata, media));
+}
 
-  console.log('\n📤 Uploading Participation POAP...');
+/**
+ * Build one recipient's metadata from the tier's metadata
+ * Only the chosen fields are added, so recipients that share them (e.g.
+ * same campus and days) get identical metadata. The name stays the tier's
+ * name, matching the on-chain name and its 32-byte limit; the serial is
+ * only an attribute.
+ * @param {object} tierMetadata - Tier metadata JSON (see buildTierMetadata)
+ * @param {object} recipient - Recipient (name, campus, daysAttended, serial)
+ * @param {Array<string>} fields - Fields to include (PERSONALIZED_METADATA)
+ * @returns {object} Metadata JSON for this recipient
+ */
+export function buildRecipientMetadata(tierMetadata, recipient, fields) {
+  const attributes = [...tierMetadata.attributes];
+  const include = (field) => fields.includes(field) && recipient[field] !== undefined && recipient[field] !== '';
 
-  // Upload participation image
-  const participationImageUri = await uploadImage(umi, participationImage);
-  console.log(`   Image: ✅ ${participationImageUri}`);
+  if (include('campus')) attributes.push({ trait_type: 'Campus', value: String(recipient.campus) });
+  if (include('daysAttended')) attributes.push({ trait_type: 'Days Attended', value: String(recipient.daysAttended) });
+  if (include('serial')) attributes.push({ trait_type: 'Serial', value: String(recipient.serial) });
+  if (include('name')) attributes.push({ trait_type: 'Holder', value: String(recipient.name) });
 
-  // Create and upload participation metadata
-  const participationMetadataObj = {
-    ...PARTICIPATION_METADATA,
-    image: participationImageUri,
-    properties: {
-      files: [{ uri: participationImageUri, type: "image/png" }],
-      category: "image"
+  return { ...tierMetadata, attributes };
+}
+
+/**
+ * Check every recipient's metadata against the schema
+ * Run before minting is confirmed, so bad metadata stops the run before
+ * anything is uploaded or spent.
+ * @param {object} tierMetadata - Tier metadata JSON (see buildTierMetadata)
+ * @param {Array<object>} recipients - Recipients to build metadata for
+ * @param {Array<string>} fields - Fields to include (PERSONALIZED_METADATA)
+ * @returns {Array<string>} Error messages, prefixed with the recipient's wallet (empty if valid)
+ */
+export function checkRecipientMetadata(tierMetadata, recipients, fields) {
+  return recipients.flatMap(recipient => {
+    const errors = validateMetadata(buildRecipientMetadata(tierMetadata, recipient, fields));
+    return errors.length > 0 ? [`${recipient.wallet}: ${errors.join('; ')}`] : [];
+  });
+}
+
+/**
+ * Check that every recipient has its own serial
+ * Serials are printed on POAPs, so they come from the recipient data rather
+ * than the list order: a reordered or edited file would otherwise renumber
+ * recipients between runs.
+ * @param {Array<object>} recipients - Every recipient of the tier
+ * @returns {Array<string>} Error messages, prefixed with the recipient's wallet (empty if valid)
+ */
+export function checkRecipientSerials(recipients) {
+  const seen = new Map();
+  return recipients.flatMap(recipient => {
+    const serial = recipient.serial;
+    if (!(Number.isInteger(serial) && serial >= 1)) {
+      return [`${recipient.wallet}: serial must be a whole number of 1 or more (got ${serial === undefined ? 'none' : JSON.stringify(serial)})`];
+    }
+    if (seen.has(serial)) {
+      return [`${recipient.wallet}: serial ${serial} is also used by ${seen.get(serial)}`];
+    }
+    seen.set(serial, recipient.wallet);
+    return [];
+  });
+}
+
+/**
+ * Upload personalized metadata for each recipient
+ * Identical metadata is uploaded once, and documents already in the upload
+ * manifest are reused, so re-runs don't pay for them again.
+ * @param {import('@metaplex-foundation/umi').Umi} umi - Umi instance
+ * @param {object} tierMetadata - Tier metadata JSON (see buildTierMetadata)
+ * @param {Array<object>} recipients - Recipients to build metadata for
+ * @param {Array<string>} fields - Fields to include (PERSONALIZED_METADATA)
+ * @param {function} onUpload - Called with (uploaded, total) after each new upload
+ * @returns {Promise<{recipients: Array<object>, uploaded: number, reused: number}>}
+ *   Recipients with metadataUri set, and how many documents were uploaded vs reused
+ */
+export async function uploadRecipientMetadata(umi, tierMetadata, recipients, fields, onUpload = null) {
+  const documents = new Map();
+  const hashes = recipients.map(recipient => {
+    const metadata = buildRecipientMetadata(tierMetadata, recipient, fields);
+    const errors = validateMetadata(metadata);
+    if (errors.length > 0) {
+      throw new Error(`Invalid metadata for ${recipient.wallet}: ${errors.join('; ')}`);
     }
+    const text = canonicalJson(metadata);
+    const hash = hashContent(text);
+    documents.set(hash, { metadata, text });
+    return hash;
+  });
+
+  const toUpload = [...documents.keys()].filter(hash => !findUploadedFile(hash)).length;
+  const uris = new Map();
+  let uploaded = 0;
+
+  for (const [hash, { metadata, text }] of documents) {
+    const result = await uploadUnlessStored(text, 'application/json', () => uploadMetadata(umi, metadata));
+    uris.set(hash, result.uri);
+    if (!result.reused) {
+      uploaded++;
+      if (onUpload) onUpload(uploaded, toUpload);
+    }
+  }
+
+  return {
+    recipients: recipients.map((recipient, i) => ({ ...recipient, metadataUri: uris.get(hashes[i]) })),
+    uploaded,
+    reused: documents.size - uploaded
   };
-  const participationMetadataUri = await uploadMetadata(umi, participationMetadataObj);
-  console.log(`   Metadata: ✅ ${participationMetadataUri}`);
+}
 
-  console.log('\n📤 Uploading Builder POAP...');
+/**
+ * Work out which tier files still need uploading, and what that costs
+ * Files already in the upload manifest are free. A tier's metadata embeds
+ * its image URI, so a new image's metadata is sized with a placeholder URI
+ * of the usual length.
+ * @param {import('@metaplex-foundation/umi').Umi} umi - Umi instance
+ * @param {Array<object>} tiers - Tiers to upload (default: all tiers in EVENT_FILE)
+ * @returns {Promise<{files: number, bytes: number, lamports: number, sol: number,
+ *   balanceLamports: number|null, shortfallLamports: number}>}
+ *   Files and bytes to upload, the uploader's price, and for Irys the node
+ *   balance and how much more it needs
+ */
+export async function quoteAssetUploads(umi, tiers = getTiers()) {
+  const pending = [];
 
-  // Upload builder image
-  const builderImageUri = await uploadImage(umi, builderImage);
-  console.log(`   Image: ✅ ${builderImageUri}`);
+  for (const tier of tiers) {
+    const media = {};
+    let artworkChanged = false;
+    for (const { field, filename, content, contentType } of readTierMedia(tier)) {
+      const stored = findUploadedFile(hashContent(content));
+      if (!stored) {
+        pending.push(createGenericFile(content, filename, { contentType }));
+        artworkChanged = true;
+      }
+      media[`${field}Uri`] = stored?.uri || PLACEHOLDER_URI;
+      media[`${field}Type`] = contentType;
+    }
 
-  // Create and upload builder metadata
-  const builderMetadataObj = {
-    ...BUILDER_METADATA,
-    image: builderImageUri,
-    properties: {
-      files: [{ uri: builderImageUri, type: "image/png" }],
-      category: "image"
+    const metadata = canonicalJson(buildTierMetadata(tier.metadata, media));
+    if (artworkChanged || !findUploadedFile(hashContent(metadata))) {
+      pending.push(createGenericFile(metadata, `${tier.key}.json`, { contentType: 'application/json' }));
     }
+  }
+
+  const bytes = pending.reduce((sum, file) => sum + file.buffer.byteLength, 0);
+  const price = pending.length > 0 ? Number((await umi.uploader.getUploadPrice(pending)).basisPoints) : 0;
+
+  // Only Irys is paid from a balance held on the node
+  const balanceLamports = isIrysUploader(umi.uploader)
+    ? Number((await umi.uploader.getBalance()).basisPoints)
+    : null;
+
+  return {
+    files: pending.length,
+    bytes,
+    lamports: price,
+    sol: price / 1e9,
+    balanceLamports,
+    shortfallLamports: balanceLamports === null ? 0 : Math.max(0, price - balanceLamports)
   };
-  const builderMetadataUri = await uploadMetadata(umi, builderMetadataObj);
-  console.log(`   Metadata: ✅ ${builderMetadataUri}`);
-
-  // Update config
-  const updatedConfig = {
-    ...config,
-    network: process.env.NETWORK || 'devnet',
-    participation: {
-      ...config.participation,
-      imageUri: participationImageUri,
-      metadataUri: participationMetadataUri
-    },
-    builder: {
-      ...config.builder,
-      imageUri: builderImageUri,
-      metadataUri: builderMetadataUri
-    },
-    createdAt: config.createdAt || new Date().toISOString()
+}
+
+/**
+ * Fund the Irys node with an exact amount from the wallet
+ * @param {import('@metaplex-foundation/umi').Umi} umi - Umi instance
+ * @param {number} amountLamports - Lamports to send
+ */
+export async function fundUploads(umi, amountLamports) {
+  if (!isIrysUploader(umi.uploader)) {
+    throw new Error('Only the Irys storage backend is funded in advance');
+  }
+  await umi.uploader.fund(lamports(amountLamports), true);
+}
+
+/**
+ * Upload the artwork and metadata of every tier in the event
+ * Files whose content is already in the upload manifest are not uploaded
+ * again; their recorded URI is reused.
+ * @param {import('@metaplex-foundation/umi').Umi} umi - Umi instance
+ * @param {Array<object>} tiers - Tiers to upload (default: all tiers in EVENT_FILE)
+ * @returns {Promise<{config: object, uploaded: number, reused: number}>}
+ *   Config with all URIs, and how many files were uploaded vs reused
+ */
+export async function uploadAllAssets(umi, tiers = getTiers()) {
+  let config = loadConfig() || {};
+  let uploaded = 0;
+  let reused = 0;
+
+  // Check artwork (type, size, dimensions) and metadata before anything is uploaded
+  for (const tier of tiers) {
+    const { errors } = checkTierMedia(tier);
+    if (errors.length > 0) {
+      throw new Error(`${tier.label} artwork: ${errors.join('; ')}`);
+    }
+    const metadataErrors = checkTierMetadata(tier);
+    if (metadataErrors.length > 0) {
+      throw new Error(`${tier.label} metadata: ${metadataErrors.join('; ')}`);
+    }
+  }
+
+  // Records the asset's version and reports what happened to it
+  const track = (tier, kind, result) => {
+    const { changed } = recordAsset(`${tier.key}.${kind}`, result);
+    if (result.reused) reused++;
+    else uploaded++;
+
+    const label = kind.charAt(0).toUpperCase() + kind.slice(1);
+    const status = changed
+      ? (result.reused ? '♻️  changed to an earlier upload' : '✅ changed, re-uploaded')
+      : (result.reused ? '♻️  unchanged' : '✅');
+    console.log(`   ${label}: ${status} ${result.uri}`);
   };
 
-  saveConfig(updatedConfig);
+  for (const tier of tiers) {
+    console.log(`\n📤 Uploading ${tier.label} POAP...`);
 
-  return updatedConfig;
-}
+    // Animation fields are reset, so removing a tier's animation takes effect
+    const media = { animationUri: null, animationType: null };
+    for (const { field, filename, content, contentType } of readTierMedia(tier)) {
+      const result = await uploadUnlessStored(content, contentType, () => uploadImage(umi, filename));
+      track(tier, field, result);
+      media[`${field}Uri`] = result.uri;
+      media[`${field}Type`] = contentType;
+    }
 
-export { PARTICIPATION_METADATA, BUILDER_METADATA };
+    const metadataObj = buildTierMetadata(tier.metadata, media);
+    const metadataErrors = validateMetadata(metadataObj);
+    if (metadataErrors.length > 0) {
+      throw new Error(`${tier.label} metadata: ${metadataErrors.join('; ')}`);
+    }
+    const metadata = await uploadUnlessStored(canonicalJson(metadataObj), 'application/json', () => uploadMetadata(umi, metadataObj));
+    track(tier, 'metadata', metadata);
+
+    // Saved per tier, so a failure on a later tier doesn't lose paid-for uploads
+    config = {
+      ...config,
+      network: process.env.NETWORK || 'devnet',
+      [tier.key]: {
+        ...config[tier.key],
+        ...media,
+        metadataUri: metadata.uri
+      },
+      createdAt: config.createdAt || new Date().toISOString()
+    };
+    saveConfig(config);
+  }
+
+  return { config, uploaded, reused };
+}
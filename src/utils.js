@@ -46,6 +46,95 @@ export function delay(ms) {
   return new Promise(resolve => setTimeout(resolve, ms));
 }
 
+/**
+ * Create a rate limiter that spaces calls evenly over time
+ * @param {number} perSecond - Maximum calls per second (0 disables limiting)
+ * @returns {function(): Promise<void>} Resolves when the caller may proceed
+ */
+export function createRateLimiter(perSecond) {
+  if (!perSecond || perSecond <= 0) {
+    return async () => {};
+  }
+
+  const interval = 1000 / perSecond;
+  let nextSlot = 0;
+
+  return async function acquire() {
+    const now = Date.now();
+    const slot = Math.max(now, nextSlot);
+    nextSlot = slot + interval;
+    if (slot > now) {
+      await delay(slot - now);
+    }
+  };
+}
+
+/**
+ * Create a token-bucket limiter
+ * Tokens refill at `perSecond` up to `burst`, so short bursts go out at
+ * once and sustained load is held to the rate. A call can take several
+ * tokens (e.g. one per request in an RPC batch).
+ * @param {number} perSecond - Tokens added per second (0 disables limiting)
+ * @param {number} burst - Bucket size (default: perSecond)
+ * @returns {function(number=): Promise<void>} Resolves when the tokens are taken
+ */
+export function createTokenBucket(perSecond, burst = perSecond) {
+  if (!perSecond || perSecond <= 0) {
+    return async () => {};
+  }
+
+  const capacity = Math.max(1, burst);
+  let tokens = capacity;
+  let updatedAt = Date.now();
+  let queue = Promise.resolve();
+
+  const take = async (cost) => {
+    // A cost over the bucket size could never be met at once. It waits for a
+    // full bucket, then is charged in full: the bucket goes into debt, and
+    // later callers wait for it to refill, so the rate still holds.
+    const needed = Math.min(cost, capacity);
+    for (;;) {
+      const now = Date.now();
+      tokens = Math.min(capacity, tokens + ((now - updatedAt) / 1000) * perSecond);
+      updatedAt = now;
+      if (tokens >= needed) {
+        tokens -= cost;
+        return;
+      }
+      await delay(Math.ceil(((needed - tokens) / perSecond) * 1000));
+    }
+  };
+
+  // Callers are served in order, so a large request isn't starved by small ones
+  return function acquire(cost = 1) {
+    const turn = queue.then(() => take(cost));
+    queue = turn;
+    return turn;
+  };
+}
+
+/**
+ * Run an async worker over items with a bounded number in flight
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum concurrent workers
+ * @param {function} worker - Async function (item, index) => result
+ * @returns {Promise<Array>} Worker results in input order
+ */
+export async function mapWithConcurrency(items, limit, worker) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const runners = Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await worker(items[index], index);
+    }
+  });
+
+  await Promise.all(runners);
+  return results;
+}
+
 /**
  * Shorten an address for display
  * @param {string} address - Full address
@@ -123,11 +212,13 @@ export function loadBuilders() {
 /**
  * Save builders to data/builders.json
  * @param {Array} builders - Array of builder objects
+ * @param {string} method - Verification strategy that found them (e.g. 'activity')
  */
-export function saveBuilders(builders) {
+export function saveBuilders(builders, method = null) {
   saveJson(BUILDERS_PATH, {
     builders,
-    verifiedAt: new Date().toISOString()
+    verifiedAt: new Date().toISOString(),
+    ...(method && { method })
   });
 }
 
@@ -173,6 +264,60 @@ export function readAsset(filename) {
   return fs.readFileSync(getAssetPath(filename));
 }
 
+/**
+ * Parse a CSV string into array of objects
+ * @param {string} content - CSV text with a header row
+ * @returns {Array<object>} Rows keyed by header
+ */
+export function parseCSV(content) {
+  const lines = content.trim().split('\n');
+  if (lines.length < 2) return [];
+
+  // Parse header - handle quoted fields
+  const header = parseCSVLine(lines[0]);
+
+  const rows = [];
+  for (let i = 1; i < lines.length; i++) {
+    const values = parseCSVLine(lines[i]);
+    if (values.length === 0) continue;
+
+    const row = {};
+    header.forEach((key, index) => {
+      row[key.trim()] = values[index]?.trim() || '';
+    });
+    rows.push(row);
+  }
+
+  return rows;
+}
+
+/**
+ * Parse a single CSV line handling quoted fields
+ * @param {string} line - CSV line
+ * @returns {Array<string>} Field values
+ */
+function parseCSVLine(line) {
+  const result = [];
+  let current = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+
+    if (char === '"') {
+      inQuotes = !inQuotes;
+    } else if (char === ',' && !inQuotes) {
+      result.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  result.push(current);
+
+  return result.map(s => s.replace(/^"|"$/g, '').trim());
+}
+
 /**
  * Validate a Solana wallet address (basic check)
  * @param {string} address - Address to validate
@@ -0,0 +1,146 @@
+/**
+ * Verification report
+ *
+ * Records the verdict for every participant, not just the builders, so a
+ * disputed tier can be answered with what was found on-chain: the rules
+ * matched, evidence signatures with their block times, errors, and whether
+ * the wallet's history was cut off.
+ *
+ * Each run writes results/verification-<strategy>-<timestamp>.json for
+ * tooling and a .csv with one row per participant for manual review.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { saveResults } from './utils.js';
+
+const CSV_COLUMNS = [
+  'wallet', 'name', 'campus', 'verdict', 'rules', 'evidence', 'transactionCount',
+  'historyComplete', 'pagesScanned', 'programId', 'upgradeAuthority', 'error'
+];
+
+/**
+ * Convert a block time to an ISO date
+ * @param {number|null} blockTime - Unix time in seconds
+ * @returns {string|null} ISO date, or null if unknown
+ */
+function blockTimeToIso(blockTime) {
+  return blockTime ? new Date(blockTime * 1000).toISOString() : null;
+}
+
+/**
+ * Build a report entry from an activity check
+ * @param {object} participant - Participant checked
+ * @param {object} result - Result of checkWalletActivity
+ * @returns {object} Report entry
+ */
+export function activityReportEntry(participant, result) {
+  return {
+    wallet: participant.wallet,
+    name: participant.name || null,
+    campus: participant.campus || null,
+    verdict: result.isBuilder ? 'builder'
+      : result.error ? 'error'
+        : result.historyComplete === false ? 'unverified' : 'participant',
+    rules: result.matchedRules.map(m => m.rule),
+    evidence: result.evidence.map(e => ({ ...e, blockTime: blockTimeToIso(e.blockTime) })),
+    transactionCount: result.transactionCount,
+    firstTx: result.firstTx,
+    historyComplete: result.historyComplete,
+    pagesScanned: result.pagesScanned,
+    error: result.error || null
+  };
+}
+
+/**
+ * Build a report entry from a Program ID check
+ * @param {object} participant - Participant checked
+ * @param {object|null} submission - Their submitted program, if any
+ * @param {object} result - Result of checkProgramOwnership
+ * @returns {object} Report entry
+ */
+export function programReportEntry(participant, submission, result) {
+  const evidence = result.evidence || {};
+  return {
+    wallet: participant.wallet,
+    name: participant.name || null,
+    campus: participant.campus || null,
+    verdict: result.isBuilder ? 'builder'
+      : !submission ? 'participant'
+        : result.historyComplete === false ? 'unverified' : 'not-verified',
+    rules: result.method ? [result.method] : [],
+    evidence: evidence.deploySignature
+      ? [{ rule: 'deploy-signature', signature: evidence.deploySignature, blockTime: blockTimeToIso(evidence.deployBlockTime) }]
+      : [],
+    programId: submission?.programId || null,
+    programData: evidence.programData || null,
+    upgradeAuthority: evidence.upgradeAuthority || null,
+    deploySlot: evidence.deploySlot ?? null,
+    historyComplete: result.historyComplete ?? true,
+    error: result.error || null
+  };
+}
+
+/**
+ * Quote a value for CSV
+ * Names come from form submissions and the CSV is opened in spreadsheets,
+ * so text a spreadsheet would run as a formula is prefixed with '.
+ * @param {*} value - Cell value
+ * @returns {string} CSV cell
+ */
+function toCsvCell(value) {
+  if (value === null || value === undefined) return '';
+  let text = String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Render report entries as CSV, one row per participant
+ * Evidence is written as "rule: signature (block time)", separated by "; ".
+ * @param {Array<object>} entries - Report entries
+ * @returns {string} CSV text with a header row
+ */
+export function reportToCsv(entries) {
+  const rows = entries.map(entry => CSV_COLUMNS.map(column => {
+    switch (column) {
+      case 'rules':
+        return toCsvCell(entry.rules.join('; '));
+      case 'evidence':
+        return toCsvCell(entry.evidence
+          .map(e => `${e.rule}: ${e.signature}${e.blockTime ? ` (${e.blockTime})` : ''}`)
+          .join('; '));
+      default:
+        return toCsvCell(entry[column]);
+    }
+  }).join(','));
+
+  return [CSV_COLUMNS.join(','), ...rows].join('\n') + '\n';
+}
+
+/**
+ * Save a verification report as JSON and CSV in results/
+ * @param {string} strategy - Verification strategy ('activity' or 'program-id')
+ * @param {Array<object>} entries - Report entries, one per participant
+ * @param {object} settings - What the run checked (network, dates, rules...)
+ * @returns {{jsonPath: string, csvPath: string}} Paths written
+ */
+export function saveVerificationReport(strategy, entries, settings = {}) {
+  const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+  const filename = `verification-${strategy}-${timestamp}`;
+
+  const counts = {};
+  entries.forEach(entry => { counts[entry.verdict] = (counts[entry.verdict] || 0) + 1; });
+
+  const jsonPath = saveResults(`${filename}.json`, {
+    strategy,
+    ...settings,
+    stats: { total: entries.length, ...counts },
+    participants: entries
+  });
+
+  const csvPath = path.join(path.dirname(jsonPath), `${filename}.csv`);
+  fs.writeFileSync(csvPath, reportToCsv(entries));
+
+  return { jsonPath, csvPath };
+}
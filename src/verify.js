@@ -1,55 +1,221 @@
+/**
+ * Builder verification
+ *
+ * Two strategies write data/builders.json:
+ * - activity: on-chain transactions in the tour window, judged by the
+ *   builder rules (see builder-rules.js)
+ * - program-id: the Program ID each participant submitted in
+ *   raw-data/wallets.csv, checked on-chain to be theirs
+ *
+ * Wallets are checked in parallel, with RPC calls held to the provider's
+ * rate limit by a token bucket, and responses cached on disk (see
+ * rpc-cache.js) so re-runs with other dates or rules skip the RPC.
+ */
+
+import fs from 'fs';
+import path from 'path';
 import { Connection, PublicKey } from '@solana/web3.js';
 import { getConfig } from './config.js';
-import { loadParticipants, saveBuilders, isValidSolanaAddress, delay } from './utils.js';
+import { evaluateBuilderRules, isDeployTransaction, BPF_LOADER_UPGRADEABLE, FETCH_BATCH_SIZE } from './builder-rules.js';
+import { createRpcCache, createCachedConnection } from './rpc-cache.js';
+import { activityReportEntry, programReportEntry, saveVerificationReport } from './verify-report.js';
+import {
+  loadParticipants, saveBuilders, isValidSolanaAddress, parseCSV, createTokenBucket, mapWithConcurrency, PROJECT_ROOT
+} from './utils.js';
+
+const VERIFY_STRATEGIES = ['activity', 'program-id'];
+
+const WALLETS_CSV_PATH = path.join(PROJECT_ROOT, 'raw-data', 'wallets.csv');
+
+// Most signatures getSignaturesForAddress returns per call
+const SIGNATURE_PAGE_SIZE = 1000;
+
+// Oldest program transactions searched for a deploy signed by the wallet
+const DEPLOY_SEARCH_LIMIT = 100;
+
+// Default verification throughput by RPC provider, matched on the RPC host.
+// Free tiers are assumed; VERIFY_CONCURRENCY and VERIFY_RATE_LIMIT override.
+const RPC_PROVIDER_LIMITS = [
+  { provider: 'Solana public RPC', hosts: ['solana.com'], concurrency: 2, perSecond: 4, burst: 8 },
+  { provider: 'Helius', hosts: ['helius-rpc.com', 'helius.xyz'], concurrency: 4, perSecond: 10, burst: 10 },
+  { provider: 'QuickNode', hosts: ['quiknode.pro'], concurrency: 6, perSecond: 15, burst: 15 },
+  { provider: 'Alchemy', hosts: ['alchemy.com'], concurrency: 8, perSecond: 25, burst: 25 },
+  { provider: 'Triton', hosts: ['rpcpool.com'], concurrency: 16, perSecond: 50, burst: 50 }
+];
+const DEFAULT_RPC_LIMITS = { provider: 'custom RPC', concurrency: 4, perSecond: 10, burst: 10 };
+
+/**
+ * Get the verification throughput for the configured RPC
+ * @param {object} config - Configuration from getConfig()
+ * @returns {{provider: string, concurrency: number, perSecond: number, burst: number}}
+ *   Wallets checked at once, and the token bucket's refill rate and size
+ */
+export function getVerifyRpcLimits(config = getConfig()) {
+  const host = URL.canParse(config.rpcUrl) ? new URL(config.rpcUrl).hostname : '';
+  const { hosts, ...limits } = RPC_PROVIDER_LIMITS
+    .find(entry => entry.hosts.some(h => host === h || host.endsWith(`.${h}`))) || DEFAULT_RPC_LIMITS;
+
+  if (config.verifyConcurrency) limits.concurrency = config.verifyConcurrency;
+  if (config.verifyRateLimit !== null) {
+    limits.perSecond = config.verifyRateLimit;
+    limits.burst = config.verifyRateLimit;
+  }
+  return limits;
+}
+
+/**
+ * Create the rate-limited, cached connection verification uses
+ * @param {object} config - Configuration from getConfig()
+ * @param {object} options - Options
+ * @param {boolean} options.cache - Read and write the RPC cache (default: true)
+ * @param {Date|null} options.headFreshAfter - Reuse cached newest signature pages fetched after this
+ * @returns {{connection: object, limits: object, cache: object|null}} Connection, its limits and cache
+ */
+function createVerifyConnection(config, { cache = true, headFreshAfter = null } = {}) {
+  const limits = getVerifyRpcLimits(config);
+  const rpcCache = cache ? createRpcCache({ network: config.network }) : null;
+  const connection = createCachedConnection(new Connection(config.rpcUrl, 'confirmed'), {
+    cache: rpcCache,
+    acquire: createTokenBucket(limits.perSecond, limits.burst),
+    headFreshAfter
+  });
+  return { connection, limits, cache: rpcCache };
+}
+
+/**
+ * Summarize RPC cache use for a run
+ * @param {object|null} cache - Cache from createRpcCache, or null if disabled
+ * @returns {{cacheHits: number, cacheMisses: number}} Responses read from disk, and fetched
+ */
+function getRpcStats(cache) {
+  return { cacheHits: cache?.stats.hits || 0, cacheMisses: cache?.stats.misses || 0 };
+}
+
+/**
+ * Get the builder rule settings from config
+ * @param {object} config - Configuration from getConfig()
+ * @returns {{rules: Array<string>, programIds: Array<string>, minTransactions: number}} Rule settings
+ */
+export function getBuilderRuleConfig(config = getConfig()) {
+  return {
+    rules: config.builderRules,
+    programIds: config.builderProgramIds,
+    minTransactions: config.builderMinTransactions
+  };
+}
+
+/**
+ * Fetch an address's signatures, newest first, back to a start time
+ * Pages are fetched backwards (with a `before` cursor) until they pass the
+ * start time or run out, or maxPages is reached.
+ * @param {Connection} connection - Solana connection
+ * @param {PublicKey} address - Address to read
+ * @param {object} options - Options
+ * @param {number} options.startTime - Oldest block time needed, in seconds (default: all history)
+ * @param {number} options.maxPages - Most pages to fetch
+ * @param {function} options.onPage - Called after each page
+ * @returns {Promise<{signatures: Array<object>, historyComplete: boolean}>}
+ *   Signatures, and false if maxPages cut the history off
+ */
+async function fetchSignatureHistory(connection, address, { startTime = 0, maxPages, onPage = null }) {
+  const signatures = [];
+  let before;
+
+  for (let page = 0; page < maxPages; page++) {
+    const batch = await connection.getSignaturesForAddress(address, {
+      limit: SIGNATURE_PAGE_SIZE,
+      ...(before && { before })
+    });
+    signatures.push(...batch);
+    if (onPage) onPage();
+
+    // A short page is the end of the history; a page reaching before the
+    // start time means older pages can't be needed
+    const oldest = batch[batch.length - 1];
+    if (batch.length < SIGNATURE_PAGE_SIZE || (oldest.blockTime && oldest.blockTime < startTime)) {
+      return { signatures, historyComplete: true };
+    }
+    before = oldest.signature;
+  }
+
+  return { signatures, historyComplete: false };
+}
 
 /**
  * Check a wallet's on-chain activity within a date range
+ * Signatures come newest first, so pages are fetched backwards (with a
+ * `before` cursor) until they pass the start date or run out. A wallet
+ * with more history than maxPages pages is cut off; `historyComplete`
+ * is then false and in-range transactions may have been missed.
+ * In-range transactions are then judged by the builder rules (see builder-rules.js).
+ * `evidence` lists every matched rule's signatures with their block times.
  * @param {Connection} connection - Solana connection
  * @param {string} walletAddress - Wallet to check
  * @param {Date} startDate - Start of date range
  * @param {Date} endDate - End of date range
- * @returns {Promise<{isBuilder: boolean, transactionCount: number, firstTx: string|null}>}
+ * @param {object} options - Options
+ * @param {number} options.maxPages - Most pages of signatures to fetch (default: VERIFY_MAX_PAGES)
+ * @param {object} options.rules - Builder rule settings (default: getBuilderRuleConfig())
+ * @returns {Promise<{isBuilder: boolean, transactionCount: number, firstTx: string|null,
+ *   matchedRules: Array<{rule: string, evidence: Array<string>}>,
+ *   evidence: Array<{rule: string, signature: string, blockTime: number|null}>,
+ *   historyComplete: boolean, pagesScanned: number}>}
  */
-export async function checkWalletActivity(connection, walletAddress, startDate, endDate) {
+export async function checkWalletActivity(connection, walletAddress, startDate, endDate, {
+  maxPages = getConfig().verifyMaxPages,
+  rules = getBuilderRuleConfig()
+} = {}) {
   // Validate address
   if (!isValidSolanaAddress(walletAddress)) {
-    return { isBuilder: false, transactionCount: 0, firstTx: null, error: 'Invalid address' };
+    return {
+      isBuilder: false, transactionCount: 0, firstTx: null, matchedRules: [], evidence: [],
+      historyComplete: true, pagesScanned: 0, error: 'Invalid address'
+    };
   }
 
-  try {
-    const pubkey = new PublicKey(walletAddress);
+  const startTime = startDate.getTime() / 1000; // Convert to seconds
+  const endTime = endDate.getTime() / 1000;
+  let pagesScanned = 0;
 
-    // Get transaction signatures for wallet
-    const signatures = await connection.getSignaturesForAddress(pubkey, {
-      limit: 100 // Check up to 100 recent transactions
+  try {
+    const history = await fetchSignatureHistory(connection, new PublicKey(walletAddress), {
+      startTime,
+      maxPages,
+      onPage: () => pagesScanned++
     });
+    const { historyComplete } = history;
 
-    if (!signatures || signatures.length === 0) {
-      return { isBuilder: false, transactionCount: 0, firstTx: null };
-    }
-
-    // Filter by date range
-    const startTime = startDate.getTime() / 1000; // Convert to seconds
-    const endTime = endDate.getTime() / 1000;
-
-    const relevantTxs = signatures.filter(sig => {
+    const relevantTxs = history.signatures.filter(sig => {
       if (!sig.blockTime) return false;
       return sig.blockTime >= startTime && sig.blockTime <= endTime;
     });
 
     const transactionCount = relevantTxs.length;
     const firstTx = relevantTxs.length > 0 ? relevantTxs[relevantTxs.length - 1].signature : null;
+    const { isBuilder, matchedRules } = await evaluateBuilderRules(connection, walletAddress, relevantTxs, rules);
+
+    const blockTimes = new Map(relevantTxs.map(sig => [sig.signature, sig.blockTime]));
+    const evidence = matchedRules.flatMap(({ rule, evidence: signatures }) =>
+      signatures.map(signature => ({ rule, signature, blockTime: blockTimes.get(signature) ?? null })));
 
     return {
-      isBuilder: transactionCount > 0,
+      isBuilder,
       transactionCount,
-      firstTx
+      firstTx,
+      matchedRules,
+      evidence,
+      historyComplete,
+      pagesScanned
     };
   } catch (error) {
     return {
       isBuilder: false,
       transactionCount: 0,
       firstTx: null,
+      matchedRules: [],
+      evidence: [],
+      historyComplete: false,
+      pagesScanned,
       error: error.message
     };
   }
@@ -57,13 +223,19 @@ export async function checkWalletActivity(connection, walletAddress, startDate,
 
 /**
  * Verify all participants for builder status
+ * Wallets are checked in parallel (see getVerifyRpcLimits). A cached
+ * newest page is only reused if it was fetched after the tour ended, since
+ * until then new transactions may still count.
  * @param {Array} participants - Array of participant objects (optional, loads from file if not provided)
  * @param {Date} startDate - Start of verification period (optional)
  * @param {Date} endDate - End of verification period (optional)
- * @param {function} onProgress - Progress callback (current, total, result)
- * @returns {Promise<{builders: Array, nonBuilders: Array}>}
+ * @param {function} onProgress - Progress callback (completed, total, result)
+ * @param {object} options - Options
+ * @param {boolean} options.cache - Use the on-disk RPC cache (default: true)
+ * @returns {Promise<{builders: Array, nonBuilders: Array, report: {jsonPath: string, csvPath: string},
+ *   rpcStats: {cacheHits: number, cacheMisses: number}}>} Results, and where the report was saved
  */
-export async function verifyAllParticipants(participants = null, startDate = null, endDate = null, onProgress = null) {
+export async function verifyAllParticipants(participants = null, startDate = null, endDate = null, onProgress = null, { cache = true } = {}) {
   const config = getConfig();
 
   // Load participants if not provided
@@ -75,63 +247,284 @@ export async function verifyAllParticipants(participants = null, startDate = nul
   if (!startDate) startDate = config.tourStartDate;
   if (!endDate) endDate = config.tourEndDate;
 
-  // Create connection
-  const connection = new Connection(config.rpcUrl, 'confirmed');
+  const verify = createVerifyConnection(config, { cache, headFreshAfter: endDate });
+  const options = { maxPages: config.verifyMaxPages, rules: getBuilderRuleConfig(config) };
 
-  const builders = [];
-  const nonBuilders = [];
   const total = participants.length;
+  let completed = 0;
 
-  for (let i = 0; i < participants.length; i++) {
-    const participant = participants[i];
-    const current = i + 1;
-
+  const results = await mapWithConcurrency(participants, verify.limits.concurrency, async (participant) => {
     const result = await checkWalletActivity(
-      connection,
+      verify.connection,
       participant.wallet,
       startDate,
-      endDate
+      endDate,
+      options
     );
 
+    completed++;
+    if (onProgress) {
+      onProgress(completed, total, {
+        isBuilder: result.isBuilder,
+        participant,
+        transactionCount: result.transactionCount,
+        matchedRules: result.matchedRules,
+        historyComplete: result.historyComplete,
+        pagesScanned: result.pagesScanned,
+        error: result.error
+      });
+    }
+    return { participant, result };
+  });
+
+  // Results come back in participant order, whatever order they finished in
+  const builders = [];
+  const nonBuilders = [];
+  for (const { participant, result } of results) {
     if (result.isBuilder) {
       builders.push({
         ...participant,
+        method: 'activity',
         transactionCount: result.transactionCount,
-        firstTx: result.firstTx
+        firstTx: result.firstTx,
+        matchedRules: result.matchedRules,
+        historyComplete: result.historyComplete
       });
-
-      if (onProgress) {
-        onProgress(current, total, {
-          isBuilder: true,
-          participant,
-          transactionCount: result.transactionCount
-        });
-      }
     } else {
       nonBuilders.push({
         ...participant,
+        transactionCount: result.transactionCount,
+        historyComplete: result.historyComplete,
         error: result.error || null
       });
+    }
+  }
+
+  // Save builders, and the verdict for everyone
+  saveBuilders(builders, 'activity');
+  const entries = results.map(({ participant, result }) => activityReportEntry(participant, result));
+  const report = saveVerificationReport('activity', entries, {
+    network: config.network,
+    tourStartDate: startDate.toISOString(),
+    tourEndDate: endDate.toISOString(),
+    builderRules: options.rules,
+    verifyMaxPages: options.maxPages
+  });
+
+  return { builders, nonBuilders, report, rpcStats: getRpcStats(verify.cache) };
+}
+
+/**
+ * Load the Program IDs participants submitted
+ * Rows without a Program ID (empty or "Nil") are skipped.
+ * @param {string} csvPath - Wallet sheet export (default: raw-data/wallets.csv)
+ * @returns {Map<string, {programId: string, github: string}>} Submissions by wallet
+ */
+export function loadProgramSubmissions(csvPath = WALLETS_CSV_PATH) {
+  if (!fs.existsSync(csvPath)) {
+    throw new Error(`Wallet sheet not found: ${csvPath}`);
+  }
+
+  const submissions = new Map();
+  for (const row of parseCSV(fs.readFileSync(csvPath, 'utf-8'))) {
+    const wallet = row['Devnet Wallet Address'] || row['Devnet wallet address'] || row['wallet'] || row['Wallet'] || '';
+    const programId = row['Program ID'] || row['program_id'] || '';
+    if (!wallet || !programId || programId.toLowerCase() === 'nil') continue;
+
+    submissions.set(wallet, {
+      programId,
+      github: row['Github profile'] || row['github'] || row['GitHub'] || ''
+    });
+  }
+  return submissions;
+}
+
+/**
+ * Find a deploy or upgrade of a program signed by a wallet
+ * The oldest transactions are searched first, since the deploy is the
+ * program's first transaction. Only transactions with a deploy or upgrade
+ * instruction count. If maxPages cut the history off, the oldest fetched
+ * transaction isn't the deploy, so not finding one proves nothing; the
+ * caller is told via `historyComplete`.
+ * @param {Connection} connection - Solana connection
+ * @param {PublicKey} programAddress - Program account
+ * @param {string} walletAddress - Wallet expected to have deployed it
+ * @param {number} maxPages - Most pages of signatures to fetch
+ * @returns {Promise<{deploy: object|null, historyComplete: boolean}>}
+ *   Deploy signature info ({signature, blockTime, ...}) or null, and false
+ *   if the program's history was cut off
+ */
+async function findDeploySignature(connection, programAddress, walletAddress, maxPages) {
+  const { signatures, historyComplete } = await fetchSignatureHistory(connection, programAddress, { maxPages });
+  const candidates = signatures.filter(sig => !sig.err).reverse().slice(0, DEPLOY_SEARCH_LIMIT);
 
-      if (onProgress) {
-        onProgress(current, total, {
-          isBuilder: false,
-          participant,
-          error: result.error
-        });
+  for (let i = 0; i < candidates.length; i += FETCH_BATCH_SIZE) {
+    const batch = candidates.slice(i, i + FETCH_BATCH_SIZE);
+    const transactions = await connection.getParsedTransactions(
+      batch.map(sig => sig.signature),
+      { maxSupportedTransactionVersion: 0 }
+    );
+    const index = transactions.findIndex(tx => tx && isDeployTransaction(tx, walletAddress));
+    if (index >= 0) return { deploy: batch[index], historyComplete };
+  }
+  return { deploy: null, historyComplete };
+}
+
+/**
+ * Check that a submitted program exists and belongs to the wallet
+ * The program must be an executable account on the configured network.
+ * It belongs to the wallet if the wallet is its upgrade authority
+ * (from the ProgramData account), or else signed its deploy or an upgrade.
+ * If no deploy was found but the program's history was cut off by
+ * maxPages, the result is unverified (`historyComplete: false`) rather
+ * than rejected.
+ * @param {Connection} connection - Solana connection
+ * @param {string} walletAddress - Participant's wallet
+ * @param {string} programId - Submitted Program ID
+ * @param {object} options - Options
+ * @param {number} options.maxPages - Most pages of program signatures to fetch (default: VERIFY_MAX_PAGES)
+ * @returns {Promise<{isBuilder: boolean, method: string|null, evidence: object, error: string|null,
+ *   historyComplete: boolean}>} Verdict, how ownership was proven ('upgrade-authority'
+ *   or 'deploy-signature'), what was found on-chain, why it failed, and false if
+ *   the deploy search was cut off
+ */
+export async function checkProgramOwnership(connection, walletAddress, programId, { maxPages = getConfig().verifyMaxPages } = {}) {
+  const evidence = { programId };
+  const fail = (error, historyComplete = true) => ({ isBuilder: false, method: null, evidence, error, historyComplete });
+
+  if (!isValidSolanaAddress(walletAddress)) return fail('Invalid address');
+  if (!isValidSolanaAddress(programId)) return fail(`Program ID is not an address: ${programId}`);
+
+  try {
+    const programAddress = new PublicKey(programId);
+    const account = await connection.getAccountInfo(programAddress);
+    if (!account) return fail(`program not found on ${getConfig().network}`);
+    if (!account.executable) return fail('account is not an executable program');
+
+    evidence.loader = account.owner.toBase58();
+
+    // Upgradeable programs point at a ProgramData account holding the authority:
+    // Program = [u32 tag 2][programdata pubkey]
+    // ProgramData = [u32 tag 3][u64 slot][u8 option][authority pubkey]
+    if (evidence.loader === BPF_LOADER_UPGRADEABLE && account.data.length >= 36 && account.data.readUInt32LE(0) === 2) {
+      const programDataAddress = new PublicKey(account.data.subarray(4, 36));
+      evidence.programData = programDataAddress.toBase58();
+
+      const programData = await connection.getAccountInfo(programDataAddress);
+      if (programData && programData.data.length >= 45 && programData.data.readUInt32LE(0) === 3) {
+        evidence.deploySlot = Number(programData.data.readBigUInt64LE(4));
+        evidence.upgradeAuthority = programData.data[12] === 1
+          ? new PublicKey(programData.data.subarray(13, 45)).toBase58()
+          : null;
       }
+
+      if (evidence.upgradeAuthority === walletAddress) {
+        return { isBuilder: true, method: 'upgrade-authority', evidence, error: null, historyComplete: true };
+      }
+    }
+
+    // Authority handed off, made immutable or never upgradeable: look for the deploy
+    const { deploy, historyComplete } = await findDeploySignature(connection, programAddress, walletAddress, maxPages);
+    if (deploy) {
+      evidence.deploySignature = deploy.signature;
+      evidence.deployBlockTime = deploy.blockTime ?? null;
+      return { isBuilder: true, method: 'deploy-signature', evidence, error: null, historyComplete };
     }
 
-    // Add delay to avoid rate limiting
-    if (i < participants.length - 1) {
-      await delay(200);
+    if (!historyComplete) {
+      return fail(
+        `unverified: program history cut off after ${maxPages} page(s) before its deploy was reached; raise VERIFY_MAX_PAGES`,
+        false
+      );
+    }
+
+    return fail(evidence.upgradeAuthority
+      ? `upgrade authority is ${evidence.upgradeAuthority}, and no deploy signed by this wallet was found`
+      : 'no upgrade authority, and no deploy signed by this wallet was found');
+  } catch (error) {
+    return fail(error.message);
+  }
+}
+
+/**
+ * Verify participants by the Program IDs they submitted
+ * Programs are checked in parallel (see getVerifyRpcLimits).
+ * @param {Array} participants - Array of participant objects (optional, loads from file if not provided)
+ * @param {Map} submissions - Program submissions by wallet (optional, loads raw-data/wallets.csv if not provided)
+ * @param {function} onProgress - Progress callback (completed, total, result)
+ * @param {object} options - Options
+ * @param {boolean} options.cache - Use the on-disk RPC cache (default: true)
+ * @returns {Promise<{builders: Array, nonBuilders: Array, report: {jsonPath: string, csvPath: string},
+ *   rpcStats: {cacheHits: number, cacheMisses: number}}>} Results, and where the report was saved
+ */
+export async function verifyProgramBuilders(participants = null, submissions = null, onProgress = null, { cache = true } = {}) {
+  const config = getConfig();
+
+  if (!participants) participants = loadParticipants();
+  if (!submissions) submissions = loadProgramSubmissions();
+
+  // A program's newest signatures can always change, so they're never reused
+  const verify = createVerifyConnection(config, { cache });
+
+  const total = participants.length;
+  let completed = 0;
+
+  const results = await mapWithConcurrency(participants, verify.limits.concurrency, async (participant) => {
+    const submission = submissions.get(participant.wallet);
+
+    // No submission is no program to check, so no RPC calls either
+    const result = submission
+      ? await checkProgramOwnership(verify.connection, participant.wallet, submission.programId, {
+        maxPages: config.verifyMaxPages
+      })
+      : { isBuilder: false, method: null, evidence: null, error: null, historyComplete: true };
+
+    completed++;
+    if (onProgress) {
+      onProgress(completed, total, {
+        isBuilder: result.isBuilder,
+        participant,
+        programId: submission?.programId || null,
+        method: result.method,
+        historyComplete: result.historyComplete,
+        error: result.error
+      });
+    }
+    return { participant, submission, result };
+  });
+
+  const builders = [];
+  const nonBuilders = [];
+  for (const { participant, submission, result } of results) {
+    if (!submission) {
+      nonBuilders.push({ ...participant, error: null });
+    } else if (result.isBuilder) {
+      builders.push({
+        ...participant,
+        programId: submission.programId,
+        github: submission.github,
+        method: result.method,
+        evidence: result.evidence
+      });
+    } else {
+      nonBuilders.push({
+        ...participant,
+        programId: submission.programId,
+        evidence: result.evidence,
+        historyComplete: result.historyComplete,
+        error: result.error
+      });
     }
   }
 
-  // Save builders
-  saveBuilders(builders);
+  saveBuilders(builders, 'program-id');
+  const entries = results.map(({ participant, submission, result }) => programReportEntry(participant, submission, result));
+  const report = saveVerificationReport('program-id', entries, {
+    network: config.network,
+    verifyMaxPages: config.verifyMaxPages
+  });
 
-  return { builders, nonBuilders };
+  return { builders, nonBuilders, report, rpcStats: getRpcStats(verify.cache) };
 }
 
 /**
@@ -142,3 +535,5 @@ export function createConnection() {
   const config = getConfig();
   return new Connection(config.rpcUrl, 'confirmed');
 }
+
+export { VERIFY_STRATEGIES, WALLETS_CSV_PATH };